@@ -0,0 +1,140 @@
+const { ApiError } = require('./errors');
+
+// Parameters shared by the A* family (pgRouting defaults)
+const ASTAR_PARAMS = {
+    heuristic: {
+        type: 'integer',
+        default: 5,
+        min: 0,
+        max: 5,
+        description: '0: none, 1: max(dx,dy), 2: min(dx,dy), 3: dx*dx+dy*dy, 4: sqrt(dx*dx+dy*dy), 5: abs(dx)+abs(dy)'
+    },
+    factor: {
+        type: 'number',
+        default: 1,
+        min: 0,
+        description: 'Multiplier applied to the heuristic to match the units of cost'
+    },
+    epsilon: {
+        type: 'number',
+        default: 1,
+        min: 1,
+        description: 'Values above 1 trade optimality for speed'
+    }
+};
+
+// Dijkstra honouring turn restrictions, the fallback for single-path
+// algorithms without a restricted variant of their own
+const trspPathSQL = () => `SELECT 1 AS path_id, seq, node, edge, cost, agg_cost
+            FROM pgr_trsp($1, $4, $2::bigint, $3::bigint, directed := TRUE)`;
+
+// Each algorithm builds a query returning (path_id, seq, node, edge, cost,
+// agg_cost).
+// $1 = edges SQL, $2 = source vertex, $3 = target vertex; declared params
+// follow from $4 in declaration order. `withCoordinates` asks for the
+// x1/y1/x2/y2 edge columns the A* family needs.
+//
+// `restrictedPathSQL` is the same query honouring turn restrictions, used
+// when the plain path runs through one. It takes $4 = restrictions SQL and
+// no further placeholders; params are already validated numbers and are
+// inlined.
+const algorithms = {
+    dijkstra: {
+        label: 'Dijkstra',
+        description: 'Classic single-source shortest path (pgr_dijkstra)',
+        withCoordinates: false,
+        params: {},
+        pathSQL: () => `SELECT 1 AS path_id, seq, node, edge, cost, agg_cost
+            FROM pgr_dijkstra($1, $2::bigint, $3::bigint, directed := TRUE)`,
+        restrictedPathSQL: trspPathSQL
+    },
+    astar: {
+        label: 'A*',
+        description: 'Heuristic search guided by node coordinates (pgr_aStar)',
+        withCoordinates: true,
+        params: ASTAR_PARAMS,
+        pathSQL: () => `SELECT 1 AS path_id, seq, node, edge, cost, agg_cost
+            FROM pgr_aStar($1, $2::bigint, $3::bigint, directed := TRUE,
+                heuristic := $4::integer, factor := $5::float8, epsilon := $6::float8)`,
+        restrictedPathSQL: trspPathSQL
+    },
+    bdDijkstra: {
+        label: 'Bidirectional Dijkstra',
+        description: 'Dijkstra searching from both ends at once (pgr_bdDijkstra)',
+        withCoordinates: false,
+        params: {},
+        pathSQL: () => `SELECT 1 AS path_id, seq, node, edge, cost, agg_cost
+            FROM pgr_bdDijkstra($1, $2::bigint, $3::bigint, directed := TRUE)`,
+        restrictedPathSQL: trspPathSQL
+    },
+    bdAstar: {
+        label: 'Bidirectional A*',
+        description: 'A* searching from both ends at once (pgr_bdAstar)',
+        withCoordinates: true,
+        params: ASTAR_PARAMS,
+        pathSQL: () => `SELECT 1 AS path_id, seq, node, edge, cost, agg_cost
+            FROM pgr_bdAstar($1, $2::bigint, $3::bigint, directed := TRUE,
+                heuristic := $4::integer, factor := $5::float8, epsilon := $6::float8)`,
+        restrictedPathSQL: trspPathSQL
+    },
+    ksp: {
+        label: 'K Shortest Paths',
+        description: 'Up to K loopless alternative paths (pgr_KSP)',
+        withCoordinates: false,
+        params: {
+            k: {
+                type: 'integer',
+                default: 3,
+                min: 1,
+                max: 10,
+                description: 'Number of alternative paths'
+            }
+        },
+        pathSQL: () => `SELECT path_id, path_seq AS seq, node, edge, cost, agg_cost
+            FROM pgr_KSP($1, $2::bigint, $3::bigint, $4::integer, directed := TRUE)`,
+        restrictedPathSQL: params => `SELECT path_id, path_seq AS seq, node, edge, cost, agg_cost
+            FROM pgr_turnRestrictedPath($1, $4, $2::bigint, $3::bigint, ${Number(params.k)}::integer,
+                directed := TRUE, stop_on_first := FALSE)`
+    }
+};
+
+function getAlgorithm(name) {
+    const algorithm = Object.prototype.hasOwnProperty.call(algorithms, name) ? algorithms[name] : null;
+    if (!algorithm) {
+        throw new ApiError(400, `Unknown algorithm '${name}'. Available: ${Object.keys(algorithms).join(', ')}`);
+    }
+    return algorithm;
+}
+
+// Validate request params against an algorithm's declaration, filling defaults
+function resolveParams(algorithm, input = {}) {
+    const resolved = {};
+    for (const [name, spec] of Object.entries(algorithm.params)) {
+        const raw = input[name];
+        if (raw == null || raw === '') {
+            resolved[name] = spec.default;
+            continue;
+        }
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+            throw new ApiError(400, `Parameter '${name}' must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+        }
+        if ((spec.min != null && value < spec.min) || (spec.max != null && value > spec.max)) {
+            throw new ApiError(400, `Parameter '${name}' must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`);
+        }
+        resolved[name] = value;
+    }
+    return resolved;
+}
+
+// Public description for GET /algorithms
+function listAlgorithms() {
+    return Object.entries(algorithms).map(([name, algorithm]) => ({
+        name,
+        label: algorithm.label,
+        description: algorithm.description,
+        params: algorithm.params
+    }));
+}
+
+module.exports = { algorithms, getAlgorithm, resolveParams, listAlgorithms };
@@ -0,0 +1,57 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const cors = require('cors');
+const config = require('./config');
+const infoRoutes = require('./routes/info');
+const routingRoutes = require('./routes/routing');
+const analysisRoutes = require('./routes/analysis');
+const geocodeRoutes = require('./routes/geocode');
+const networkRoutes = require('./routes/network');
+const tileRoutes = require('./routes/tiles');
+const closureRoutes = require('./routes/closures');
+const batchRoutes = require('./routes/batch');
+const { sendError } = require('./responses');
+const { ApiError } = require('./errors');
+
+// Upload routes that parse their body as text, whatever its content type
+const RAW_UPLOAD_PATHS = ['/network/builds', '/places'];
+
+// The Express app with every route module mounted, serving requests from
+// `pool`. It does not listen or start background work, so tests can drive
+// it with supertest; index.js does both for the real server.
+function createApp({ pool, settings = config }) {
+    const app = express();
+
+    app.use(cors({
+        origin: settings.corsOrigin,
+        methods: ['GET', 'POST', 'OPTIONS'],
+        allowedHeaders: ['Content-Type']
+    }));
+
+    // Middleware; batch jobs may list thousands of pairs, and uploads read
+    // their raw body themselves with their own limit
+    const json = bodyParser.json();
+    app.use('/batch/jobs', bodyParser.json({ limit: settings.batchUploadLimit }));
+    app.use((req, res, next) => (RAW_UPLOAD_PATHS.includes(req.path) ? next() : json(req, res, next)));
+
+    app.use(infoRoutes({ pool }));
+    app.use(routingRoutes({ pool }));
+    app.use(analysisRoutes({ pool }));
+    app.use(geocodeRoutes({ pool, settings }));
+    app.use(networkRoutes({ pool, settings }));
+    app.use(tileRoutes({ pool }));
+    app.use(closureRoutes({ pool }));
+    app.use(batchRoutes({ pool, settings }));
+
+    // Body parser failures, such as malformed JSON or an oversized upload
+    app.use((err, req, res, next) => {
+        if (err.expose) {
+            return sendError(res, new ApiError(err.status, err.message), 'Invalid request');
+        }
+        sendError(res, err, 'Unexpected server error');
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,425 @@
+const { getAlgorithm, resolveParams } = require('./algorithms');
+const { getProfile } = require('./profiles');
+const { computeRoute } = require('./routing');
+const { validateInput } = require('./schema');
+const { ApiError, ERROR_CODES } = require('./errors');
+const { batchConcurrency } = require('./config');
+const { insertInBatches, serialQueue } = require('./jobs');
+
+// Batch routing jobs: many start/end pairs, uploaded as CSV or JSON, routed
+// in the background with one algorithm and cost profile. The pairs are
+// stored with the job and routed over up to `batchConcurrency` pool
+// connections at a time. Each row keeps its own result or error, so an
+// unroutable pair does not fail the job. Jobs run one at a time in the
+// order they were queued and carry on from their pending rows after a
+// restart.
+
+// Largest accepted number of pairs per job
+const MAX_BATCH_ROWS = 10000;
+
+// CSV header names accepted for each coordinate, lower case
+const CSV_COLUMNS = {
+    id: ['id', 'ref', 'name'],
+    startLat: ['start_lat', 'origin_lat', 'from_lat'],
+    startLng: ['start_lng', 'origin_lng', 'from_lng', 'start_lon', 'origin_lon', 'from_lon'],
+    endLat: ['end_lat', 'destination_lat', 'to_lat'],
+    endLng: ['end_lng', 'destination_lng', 'to_lng', 'end_lon', 'destination_lon', 'to_lon']
+};
+
+const BATCH_TABLES_SQL = `
+    CREATE TABLE IF NOT EXISTS public.batch_jobs (
+        id SERIAL PRIMARY KEY,
+        name TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        algorithm TEXT NOT NULL,
+        profile TEXT NOT NULL,
+        params JSONB NOT NULL DEFAULT '{}',
+        row_count INTEGER NOT NULL,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+    );
+    CREATE TABLE IF NOT EXISTS public.batch_rows (
+        job_id INTEGER NOT NULL REFERENCES public.batch_jobs (id) ON DELETE CASCADE,
+        row_index INTEGER NOT NULL,
+        ref TEXT,
+        start_lat DOUBLE PRECISION,
+        start_lng DOUBLE PRECISION,
+        end_lat DOUBLE PRECISION,
+        end_lng DOUBLE PRECISION,
+        status TEXT NOT NULL DEFAULT 'pending',
+        total_distance DOUBLE PRECISION,
+        travel_time DOUBLE PRECISION,
+        total_cost DOUBLE PRECISION,
+        edge_count INTEGER,
+        geometry TEXT,
+        error TEXT,
+        error_code TEXT,
+        PRIMARY KEY (job_id, row_index)
+    )`;
+
+// Jobs with their row counts by status
+const JOB_SQL = `
+    SELECT j.*, counts.done, counts.failed
+    FROM public.batch_jobs j
+    LEFT JOIN LATERAL (
+        SELECT COUNT(*) FILTER (WHERE r.status = 'done') AS done,
+               COUNT(*) FILTER (WHERE r.status = 'failed') AS failed
+        FROM public.batch_rows r
+        WHERE r.job_id = j.id
+    ) AS counts ON TRUE`;
+
+const ROW_SCHEMA = {
+    start: { type: 'point', required: true },
+    end: { type: 'point', required: true }
+};
+
+// What the API reports about a job
+function describeJob(row) {
+    const total = Number(row.row_count);
+    const done = Number(row.done);
+    const failed = Number(row.failed);
+    return {
+        id: Number(row.id),
+        name: row.name,
+        status: row.status,
+        algorithm: row.algorithm,
+        profile: row.profile,
+        params: row.params,
+        rowCount: total,
+        done,
+        failed,
+        pending: total - done - failed,
+        progress: total ? Math.round((done + failed) / total * 100) : 100,
+        error: row.error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        finishedAt: row.finished_at
+    };
+}
+
+// Split CSV text into rows of cells. Handles quoted cells with commas,
+// doubled quotes and line breaks; blank lines are skipped.
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// Pair from one input row, or the reason it cannot be routed
+function parseRow(input, index) {
+    try {
+        if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+            throw new ApiError(400, 'Row must be an object { id, start, end }');
+        }
+        const { id = null, ...pair } = input;
+        if (id !== null && typeof id !== 'string' && typeof id !== 'number') {
+            throw new ApiError(400, "'id' must be a string or number");
+        }
+        const { start, end } = validateInput(pair, ROW_SCHEMA);
+        return { index, ref: id === null ? null : String(id), start, end };
+    } catch (err) {
+        if (!(err instanceof ApiError)) throw err;
+        const ref = input && (typeof input.id === 'string' || typeof input.id === 'number') ? String(input.id) : null;
+        return { index, ref, error: { message: err.message, code: err.code } };
+    }
+}
+
+// Pairs from a JSON `pairs` array of { id, start, end }
+function rowsFromJSON(pairs) {
+    return pairs.map(parseRow);
+}
+
+// Pairs from CSV text with a header row naming the columns, e.g.
+// id,start_lat,start_lng,end_lat,end_lng (origin_/destination_ and
+// from_/to_ prefixes and _lon work too)
+function rowsFromCSV(text) {
+    const [header, ...lines] = parseCSV(text);
+    if (!header) {
+        throw new ApiError(400, 'The CSV upload is empty');
+    }
+    const names = header.map(name => name.trim().toLowerCase());
+    const column = key => names.findIndex(name => CSV_COLUMNS[key].includes(name));
+    const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+    const missing = ['startLat', 'startLng', 'endLat', 'endLng'].filter(key => columns[key] < 0);
+    if (missing.length) {
+        throw new ApiError(400, `The CSV header needs ${missing.map(key => CSV_COLUMNS[key][0]).join(', ')} columns`);
+    }
+    return lines.map((cells, index) => {
+        const cell = key => (columns[key] < 0 ? '' : (cells[columns[key]] || '').trim());
+        return parseRow({
+            ...(cell('id') ? { id: cell('id') } : {}),
+            start: `${cell('startLat')},${cell('startLng')}`,
+            end: `${cell('endLat')},${cell('endLng')}`
+        }, index);
+    });
+}
+
+async function getBatchJob(client, id) {
+    if (!Number.isInteger(id)) {
+        throw new ApiError(404, `Batch job ${id} does not exist`);
+    }
+    const result = await client.query(`${JOB_SQL} WHERE j.id = $1`, [id]);
+    if (!result.rows.length) {
+        throw new ApiError(404, `Batch job ${id} does not exist`);
+    }
+    return describeJob(result.rows[0]);
+}
+
+async function listBatchJobs(client) {
+    const result = await client.query(`${JOB_SQL} ORDER BY j.id DESC`);
+    return result.rows.map(describeJob);
+}
+
+// Store the rows as a new queued job. Rows that could not be parsed are
+// stored as failed right away. Either all of it is stored or none.
+async function createBatchJob(client, rows, { name = null, algorithm, profile, params }) {
+    if (!rows.length) {
+        throw new ApiError(400, 'The upload contains no pairs');
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+        throw new ApiError(400, `A batch job takes at most ${MAX_BATCH_ROWS} pairs, got ${rows.length}`);
+    }
+    const point = (row, key, index) => (row[key] ? row[key][index] : null);
+    try {
+        await client.query('BEGIN');
+        const created = await client.query(
+            'INSERT INTO public.batch_jobs (name, algorithm, profile, params, row_count) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+            [name, algorithm, profile, params, rows.length]
+        );
+        const id = Number(created.rows[0].id);
+        await insertInBatches(rows, batch => client.query(`
+                INSERT INTO public.batch_rows (job_id, row_index, ref, start_lat, start_lng, end_lat, end_lng, status, error, error_code)
+                SELECT $1, row_index, ref, start_lat, start_lng, end_lat, end_lng,
+                       CASE WHEN error IS NULL THEN 'pending' ELSE 'failed' END, error, error_code
+                FROM unnest($2::integer[], $3::text[], $4::float8[], $5::float8[], $6::float8[], $7::float8[], $8::text[], $9::text[])
+                    AS t(row_index, ref, start_lat, start_lng, end_lat, end_lng, error, error_code)`,
+            [
+                id,
+                batch.map(row => row.index),
+                batch.map(row => row.ref),
+                batch.map(row => point(row, 'start', 0)),
+                batch.map(row => point(row, 'start', 1)),
+                batch.map(row => point(row, 'end', 0)),
+                batch.map(row => point(row, 'end', 1)),
+                batch.map(row => (row.error ? row.error.message : null)),
+                batch.map(row => (row.error ? row.error.code : null))
+            ]));
+        await client.query('COMMIT');
+        return getBatchJob(client, id);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+// Route one pending row on its own connection and store the outcome.
+// Routing failures are stored with the row; only a failure to store it
+// is thrown.
+async function routeRow(pool, job, row) {
+    const client = await pool.connect();
+    try {
+        try {
+            const route = await computeRoute(
+                client, job.algorithm, job.params,
+                [row.start_lat, row.start_lng], [row.end_lat, row.end_lng],
+                { profile: job.profile, cache: job.cache }
+            );
+            const line = route.route.features.find(f => f.properties.role === 'route');
+            await client.query(
+                `UPDATE public.batch_rows
+                 SET status = 'done', total_distance = $3, travel_time = $4, total_cost = $5, edge_count = $6, geometry = $7
+                 WHERE job_id = $1 AND row_index = $2`,
+                [job.id, row.row_index, route.totalDistance, route.travelTime, route.totalCost, route.edgeCount,
+                    line ? JSON.stringify(line.geometry) : null]
+            );
+        } catch (err) {
+            if (!(err instanceof ApiError)) {
+                console.error(`Batch job ${job.id} row ${row.row_index} failed:`, err);
+            }
+            const error = err instanceof ApiError
+                ? { message: err.message, code: err.code }
+                : { message: 'Routing query failed', code: ERROR_CODES.DB_ERROR };
+            await client.query(
+                "UPDATE public.batch_rows SET status = 'failed', error = $3, error_code = $4 WHERE job_id = $1 AND row_index = $2",
+                [job.id, row.row_index, error.message, error.code]
+            );
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Route the pending rows of a job, `batchConcurrency` at a time
+async function runBatchJob(pool, id) {
+    const started = await pool.query(
+        "UPDATE public.batch_jobs SET status = 'running', error = NULL, updated_at = now() WHERE id = $1 AND status IN ('queued', 'running') RETURNING *",
+        [id]
+    );
+    if (!started.rows.length) return;
+    const stored = started.rows[0];
+    const algorithm = getAlgorithm(stored.algorithm);
+    const job = {
+        id,
+        algorithm,
+        // JSONB does not keep key order, which the params' placeholders follow
+        params: resolveParams(algorithm, stored.params),
+        profile: getProfile(stored.profile),
+        cache: { algorithm: stored.algorithm, profile: stored.profile }
+    };
+    const pending = await pool.query(
+        "SELECT row_index, start_lat, start_lng, end_lat, end_lng FROM public.batch_rows WHERE job_id = $1 AND status = 'pending' ORDER BY row_index",
+        [id]
+    );
+    console.log(`Batch job ${id}: routing ${pending.rows.length} pairs`);
+
+    // Workers take the next row until none are left or one fails
+    let next = 0;
+    let failure = null;
+    const worker = async () => {
+        while (!failure && next < pending.rows.length) {
+            const row = pending.rows[next++];
+            try {
+                await routeRow(pool, job, row);
+            } catch (err) {
+                failure = err;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(batchConcurrency, pending.rows.length) }, worker));
+
+    if (failure) {
+        console.error(`Batch job ${id} failed:`, failure);
+        await pool.query(
+            "UPDATE public.batch_jobs SET status = 'failed', error = $2, updated_at = now() WHERE id = $1",
+            [id, failure.message]
+        );
+        return;
+    }
+    await pool.query(
+        "UPDATE public.batch_jobs SET status = 'done', updated_at = now(), finished_at = now() WHERE id = $1",
+        [id]
+    );
+    console.log(`Batch job ${id} is done`);
+}
+
+// Jobs run one at a time, in the order they were queued
+const jobQueue = serialQueue();
+
+function enqueueBatchJob(pool, id) {
+    return jobQueue(`Batch job ${id}`, () => runBatchJob(pool, id));
+}
+
+// Queue a failed job again for its rows that were not routed yet
+async function resumeBatchJob(pool, client, id) {
+    const job = await getBatchJob(client, id);
+    if (job.status !== 'failed') {
+        throw new ApiError(409, `Batch job ${id} is ${job.status}; only failed jobs can be resumed`);
+    }
+    await client.query("UPDATE public.batch_jobs SET status = 'queued', updated_at = now() WHERE id = $1", [id]);
+    enqueueBatchJob(pool, id);
+    return getBatchJob(client, id);
+}
+
+async function batchRows(client, id) {
+    await getBatchJob(client, id);
+    const result = await client.query('SELECT * FROM public.batch_rows WHERE job_id = $1 ORDER BY row_index', [id]);
+    return result.rows;
+}
+
+function csvCell(value) {
+    if (value == null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Results as CSV, one line per input row in upload order; distance in km,
+// travel time in minutes and cost in the job's profile unit
+async function batchResultsCSV(client, id) {
+    const columns = ['row', 'id', 'start_lat', 'start_lng', 'end_lat', 'end_lng', 'status',
+        'distance_km', 'travel_minutes', 'cost', 'edge_count', 'error_code', 'error'];
+    const lines = (await batchRows(client, id)).map(row => [
+        row.row_index + 1, row.ref, row.start_lat, row.start_lng, row.end_lat, row.end_lng, row.status,
+        row.total_distance, row.travel_time, row.total_cost, row.edge_count, row.error_code, row.error
+    ].map(csvCell).join(','));
+    return [columns.join(','), ...lines].join('\n') + '\n';
+}
+
+// Results as a GeoJSON FeatureCollection, one feature per input row; rows
+// without a route have a null geometry
+async function batchResultsGeoJSON(client, id) {
+    const rows = await batchRows(client, id);
+    return {
+        type: 'FeatureCollection',
+        features: rows.map(row => ({
+            type: 'Feature',
+            geometry: row.geometry ? JSON.parse(row.geometry) : null,
+            properties: {
+                row: row.row_index + 1,
+                id: row.ref,
+                status: row.status,
+                distance: row.total_distance,
+                travelTime: row.travel_time,
+                cost: row.total_cost,
+                edgeCount: row.edge_count,
+                errorCode: row.error_code,
+                error: row.error
+            }
+        }))
+    };
+}
+
+// Create the tables and pick up jobs interrupted by a restart
+async function startBatchRunner(pool) {
+    await pool.query(BATCH_TABLES_SQL);
+    const pending = await pool.query("SELECT id FROM public.batch_jobs WHERE status IN ('queued', 'running') ORDER BY id");
+    for (const row of pending.rows) {
+        console.log(`Resuming batch job ${row.id}`);
+        enqueueBatchJob(pool, Number(row.id));
+    }
+}
+
+module.exports = {
+    MAX_BATCH_ROWS,
+    rowsFromJSON,
+    rowsFromCSV,
+    getBatchJob,
+    listBatchJobs,
+    createBatchJob,
+    enqueueBatchJob,
+    resumeBatchJob,
+    batchResultsCSV,
+    batchResultsGeoJSON,
+    startBatchRunner
+};
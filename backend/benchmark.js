@@ -0,0 +1,191 @@
+const { algorithms, getAlgorithm, resolveParams } = require('./algorithms');
+const { virtualVertex, virtualEdges, pathEdgeSQL, edgesSQL } = require('./graph');
+const { snapToEdge, describeSnap } = require('./routing');
+const { getProfile } = require('./profiles');
+const { ApiError } = require('./errors');
+
+// Time the registered algorithms against each other on one route or on
+// random node pairs. Execution time comes from EXPLAIN ANALYZE of the
+// plain path query, so it excludes network transfer and geometry;
+// turn restrictions and the route cache are not involved.
+
+const DEFAULT_PAIRS = 5;
+const MAX_PAIRS = 20;
+const DEFAULT_RUNS = 3;
+const MAX_RUNS = 10;
+
+// pgRouting does not report how many vertices a search settled. For the
+// Dijkstra family it can be recovered: Dijkstra settles every vertex no
+// farther than the target, bidirectional Dijkstra roughly those within
+// half the distance of either end. The backward search runs on the
+// reversed edges.
+const VISITED_QUERIES = {
+    dijkstra: {
+        sql: 'SELECT COUNT(*) AS visited FROM pgr_drivingDistance($1, $2::bigint, $3::float8, directed := TRUE)',
+        values: ({ edges, source, cost }) => [edges, source, cost]
+    },
+    bdDijkstra: {
+        sql: `SELECT
+            (SELECT COUNT(*) FROM pgr_drivingDistance($1, $2::bigint, $5::float8 / 2, directed := TRUE)) +
+            (SELECT COUNT(*) FROM pgr_drivingDistance($3, $4::bigint, $5::float8 / 2, directed := TRUE)) AS visited`,
+        values: ({ edges, reversed, source, target, cost }) => [edges, source, reversed, target, cost]
+    }
+};
+
+// Random node pairs, $1 = number of nodes (twice the pairs)
+const RANDOM_NODES_SQL = 'SELECT id FROM public.network_nodes ORDER BY random() LIMIT $1';
+
+function parseCount(value, fallback, max, name) {
+    if (value === undefined) return fallback;
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+        throw new ApiError(400, `'${name}' must be an integer from 1 to ${max}`);
+    }
+    return value;
+}
+
+// Algorithms to compare, each given as a name or as { algorithm, params }
+// so one algorithm can run with several settings (e.g. A* heuristics).
+// Defaults to every registered algorithm with its default params.
+function parseVariants(input = Object.keys(algorithms)) {
+    if (!Array.isArray(input) || !input.length) {
+        throw new ApiError(400, "'algorithms' must be a non-empty array");
+    }
+    return input.map((item, index) => {
+        const spec = typeof item === 'string' ? { algorithm: item } : item;
+        if (spec === null || typeof spec !== 'object' || typeof spec.algorithm !== 'string') {
+            throw new ApiError(400, `'algorithms[${index}]' must be an algorithm name or { algorithm, params }`);
+        }
+        const algorithm = getAlgorithm(spec.algorithm);
+        const params = resolveParams(algorithm, spec.params || {});
+        const changed = Object.entries(params).filter(([name, value]) => value !== algorithm.params[name].default);
+        return {
+            name: spec.algorithm,
+            label: changed.length
+                ? `${algorithm.label} (${changed.map(([name, value]) => `${name} ${value}`).join(', ')})`
+                : algorithm.label,
+            algorithm,
+            params
+        };
+    });
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Run one variant between two vertices: median execution time over
+// `runs`, plus the best path's size and cost and, where it can be
+// derived, the number of vertices visited
+async function measure(client, variant, sql, source, target, runs) {
+    const { algorithm, params } = variant;
+    const edges = algorithm.withCoordinates ? sql.coordinates : sql.plain;
+    const values = [edges, source, target, ...Object.values(params)];
+    const pathSQL = algorithm.pathSQL(params);
+
+    const times = [];
+    for (let run = 0; run < runs; run++) {
+        const plan = await client.query(`EXPLAIN (ANALYZE, FORMAT JSON) ${pathSQL}`, values);
+        times.push(Number(plan.rows[0]['QUERY PLAN'][0]['Execution Time']));
+    }
+
+    const result = await client.query(`
+        SELECT COUNT(*) AS row_count, COUNT(*) FILTER (WHERE ${pathEdgeSQL('edge')}) AS edge_count, COALESCE(SUM(cost), 0) AS cost
+        FROM (${pathSQL}) AS path
+        WHERE path_id = 1`, values);
+    const row = result.rows[0];
+    const found = Number(row.row_count) > 0;
+    const cost = Number(row.cost);
+
+    let visitedNodes = null;
+    const visitedQuery = VISITED_QUERIES[variant.name];
+    if (found && visitedQuery) {
+        const reversed = `SELECT id, target AS source, source AS target, cost, reverse_cost FROM (${sql.plain}) AS e`;
+        const visited = await client.query(visitedQuery.sql, visitedQuery.values({ edges: sql.plain, reversed, source, target, cost }));
+        visitedNodes = Number(visited.rows[0].visited);
+    }
+
+    return {
+        timeMs: median(times),
+        found,
+        edgeCount: Number(row.edge_count),
+        cost: found ? cost : null,
+        visitedNodes
+    };
+}
+
+// Benchmark the variants on the route between `start` and `end` when both
+// are given, otherwise on `pairs` random node pairs
+async function runBenchmark(client, { start, end, pairs, runs, algorithms: variantInput, profile = getProfile() }) {
+    const variants = parseVariants(variantInput);
+    const runCount = parseCount(runs, DEFAULT_RUNS, MAX_RUNS, 'runs');
+
+    let mode;
+    let sql;
+    let vertexPairs;
+    let described;
+    if (start && end) {
+        mode = 'route';
+        const snaps = [
+            await snapToEdge(client, start, 'Start point'),
+            await snapToEdge(client, end, 'End point')
+        ];
+        const virtual = virtualEdges(snaps);
+        sql = {
+            plain: edgesSQL({ virtual, profile }),
+            coordinates: edgesSQL({ withCoordinates: true, virtual, profile })
+        };
+        vertexPairs = [[virtualVertex(0), virtualVertex(1)]];
+        described = [{ pair: 1, start: describeSnap(snaps[0]), end: describeSnap(snaps[1]) }];
+    } else if (start || end) {
+        throw new ApiError(400, "Give both 'start' and 'end', or neither to benchmark random node pairs");
+    } else {
+        mode = 'pairs';
+        const count = parseCount(pairs, DEFAULT_PAIRS, MAX_PAIRS, 'pairs');
+        const nodes = (await client.query(RANDOM_NODES_SQL, [count * 2])).rows.map(row => Number(row.id));
+        if (nodes.length < 2) {
+            throw new ApiError(422, 'The road network has fewer than two nodes');
+        }
+        sql = { plain: edgesSQL({ profile }), coordinates: edgesSQL({ withCoordinates: true, profile }) };
+        vertexPairs = [];
+        for (let i = 0; i + 1 < nodes.length; i += 2) vertexPairs.push([nodes[i], nodes[i + 1]]);
+        described = vertexPairs.map(([source, target], index) => ({ pair: index + 1, source, target }));
+    }
+
+    const samples = [];
+    for (const [pairIndex, [source, target]] of vertexPairs.entries()) {
+        for (const [variantIndex, variant] of variants.entries()) {
+            const sample = await measure(client, variant, sql, source, target, runCount);
+            samples.push({ pair: pairIndex + 1, variant: variantIndex, label: variant.label, ...sample });
+        }
+    }
+
+    const results = variants.map((variant, variantIndex) => {
+        const own = samples.filter(sample => sample.variant === variantIndex);
+        const found = own.filter(sample => sample.found);
+        const visited = found.filter(sample => sample.visitedNodes != null);
+        const times = own.map(sample => sample.timeMs);
+        return {
+            algorithm: variant.name,
+            label: variant.label,
+            params: variant.params,
+            pairs: own.length,
+            found: found.length,
+            meanMs: mean(times),
+            minMs: Math.min(...times),
+            maxMs: Math.max(...times),
+            meanVisitedNodes: visited.length ? mean(visited.map(sample => sample.visitedNodes)) : null,
+            meanEdgeCount: mean(found.map(sample => sample.edgeCount)),
+            meanCost: mean(found.map(sample => sample.cost))
+        };
+    });
+
+    return { mode, runs: runCount, costUnit: profile.unit, pairs: described, results, samples };
+}
+
+module.exports = { runBenchmark };
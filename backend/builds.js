@@ -0,0 +1,395 @@
+const { invalidateRouteCache } = require('./cache');
+const { ApiError } = require('./errors');
+const { insertInBatches, serialQueue } = require('./jobs');
+
+// Network builds: an uploaded road extract is turned into grid_lines,
+// network_nodes and network_edges following the pipeline guide, inside its
+// own schema network_v<version>. Each step runs in one transaction that
+// also records it as done, so an interrupted build resumes at the first
+// unfinished step. The last step swaps the new tables into `public` in a
+// single transaction; the tables they replace move to the previous
+// version's schema (network_v0 for a graph built by hand), so routing
+// never sees a half-built graph. Cached routes are dropped whenever the
+// active graph changes.
+
+// Tables that make up a routing graph and are swapped together
+const GRAPH_TABLES = ['grid_lines', 'network_nodes', 'network_edges', 'turn_restrictions'];
+
+const VERSIONS_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS public.network_versions (
+        version SERIAL PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'queued',
+        source_format TEXT NOT NULL,
+        source_name TEXT,
+        road_count INTEGER NOT NULL DEFAULT 0,
+        step INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        stats JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        activated_at TIMESTAMPTZ
+    )`;
+
+// Speed for roads without maxspeed, by road class (pipeline step 21)
+const SPEED_BY_CLASS_SQL = `CASE l.road_class
+        WHEN 'motorway' THEN 110
+        WHEN 'trunk' THEN 90
+        WHEN 'primary' THEN 70
+        WHEN 'secondary' THEN 60
+        WHEN 'tertiary' THEN 50
+        WHEN 'residential' THEN 30
+        ELSE 40
+    END`;
+
+function schemaName(version) {
+    return `network_v${Number(version)}`;
+}
+
+// Build steps in order; each receives the build's schema name
+const steps = [
+    {
+        name: 'lines',
+        label: 'Splitting roads into lines',
+        run: async (client, s) => {
+            await client.query(`DROP TABLE IF EXISTS ${s}.grid_lines`);
+            await client.query(`
+                CREATE TABLE ${s}.grid_lines (
+                    id SERIAL PRIMARY KEY,
+                    name TEXT,
+                    road_class TEXT,
+                    maxspeed INTEGER,
+                    oneway CHAR(1) DEFAULT 'B',
+                    geom geometry(LineString, 4326)
+                )`);
+            await client.query(`
+                INSERT INTO ${s}.grid_lines (name, road_class, maxspeed, oneway, geom)
+                SELECT r.name, r.fclass, r.maxspeed, r.oneway, d.geom
+                FROM ${s}.roads r,
+                LATERAL ST_Dump(ST_Force2D(r.geom)) AS d
+                WHERE ST_GeometryType(d.geom) = 'ST_LineString'
+                  AND ST_NPoints(d.geom) >= 2`);
+            await client.query(`CREATE INDEX grid_lines_geom_idx ON ${s}.grid_lines USING GIST (geom)`);
+        }
+    },
+    {
+        name: 'nodes',
+        label: 'Extracting vertices and intersections',
+        run: async (client, s) => {
+            await client.query(`DROP TABLE IF EXISTS ${s}.network_nodes`);
+            await client.query(`
+                CREATE TABLE ${s}.network_nodes (
+                    id SERIAL PRIMARY KEY,
+                    geom geometry(Point, 4326)
+                )`);
+            // Vertices and intersections in one pass; UNION drops duplicates
+            await client.query(`
+                INSERT INTO ${s}.network_nodes (geom)
+                SELECT geom::geometry(Point, 4326)
+                FROM (
+                    SELECT (ST_DumpPoints(geom)).geom FROM ${s}.grid_lines
+                    UNION
+                    SELECT (ST_Dump(ST_Intersection(a.geom, b.geom))).geom
+                    FROM ${s}.grid_lines a
+                    JOIN ${s}.grid_lines b ON a.id < b.id AND ST_Intersects(a.geom, b.geom)
+                ) AS p
+                WHERE ST_GeometryType(geom) = 'ST_Point'`);
+            await client.query(`CREATE INDEX network_nodes_geom_idx ON ${s}.network_nodes USING GIST (geom)`);
+        }
+    },
+    {
+        name: 'edges',
+        label: 'Splitting lines into edges',
+        run: async (client, s) => {
+            await client.query(`DROP TABLE IF EXISTS ${s}.network_edges`);
+            await client.query(`
+                CREATE TABLE ${s}.network_edges (
+                    id SERIAL PRIMARY KEY,
+                    line_id INTEGER,
+                    source INTEGER,
+                    target INTEGER,
+                    cost DOUBLE PRECISION,
+                    reverse_cost DOUBLE PRECISION,
+                    road_class TEXT,
+                    speed_kmh DOUBLE PRECISION,
+                    name TEXT,
+                    geom geometry(LineString, 4326)
+                )`);
+            // Steps 11-12, 21, 22 and 23 of the pipeline guide. Backward-only
+            // edges are flipped so every one-way edge points the legal way.
+            await client.query(`
+                WITH node_on_line AS (
+                    SELECT l.id AS line_id, n.id AS node_id, n.geom AS node_geom,
+                           ST_LineLocatePoint(l.geom, n.geom) AS fraction
+                    FROM ${s}.grid_lines AS l
+                    JOIN ${s}.network_nodes AS n ON ST_DWithin(l.geom, n.geom, 0.0001)
+                    WHERE ST_Equals(n.geom, ST_ClosestPoint(l.geom, n.geom))
+                ),
+                ordered_nodes AS (
+                    SELECT *, ROW_NUMBER() OVER (PARTITION BY line_id ORDER BY fraction) AS rn
+                    FROM node_on_line
+                ),
+                node_pairs AS (
+                    SELECT n1.line_id,
+                           n1.node_id AS source, n1.node_geom AS source_geom,
+                           n2.node_id AS target, n2.node_geom AS target_geom,
+                           ST_DistanceSphere(n1.node_geom, n2.node_geom) / 1000 AS cost
+                    FROM ordered_nodes n1
+                    JOIN ordered_nodes n2 ON n1.line_id = n2.line_id AND n2.rn = n1.rn + 1
+                    WHERE n1.node_id <> n2.node_id
+                )
+                INSERT INTO ${s}.network_edges (line_id, source, target, cost, reverse_cost, road_class, speed_kmh, name, geom)
+                SELECT p.line_id,
+                       CASE WHEN l.oneway = 'T' THEN p.target ELSE p.source END,
+                       CASE WHEN l.oneway = 'T' THEN p.source ELSE p.target END,
+                       p.cost,
+                       CASE WHEN l.oneway IN ('F', 'T') THEN -1 ELSE p.cost END,
+                       l.road_class,
+                       COALESCE(l.maxspeed, ${SPEED_BY_CLASS_SQL}),
+                       l.name,
+                       CASE WHEN l.oneway = 'T'
+                           THEN ST_MakeLine(p.target_geom, p.source_geom)
+                           ELSE ST_MakeLine(p.source_geom, p.target_geom)
+                       END
+                FROM node_pairs p
+                JOIN ${s}.grid_lines l ON l.id = p.line_id`);
+        }
+    },
+    {
+        name: 'indexes',
+        label: 'Indexing the graph',
+        run: async (client, s) => {
+            await client.query(`CREATE INDEX network_edges_geom_idx ON ${s}.network_edges USING GIST (geom)`);
+            await client.query(`CREATE INDEX network_edges_source_idx ON ${s}.network_edges (source)`);
+            await client.query(`CREATE INDEX network_edges_target_idx ON ${s}.network_edges (target)`);
+            // Restrictions refer to edge ids, so a new graph starts without any
+            await client.query(`DROP TABLE IF EXISTS ${s}.turn_restrictions`);
+            await client.query(`
+                CREATE TABLE ${s}.turn_restrictions (
+                    id SERIAL PRIMARY KEY,
+                    path BIGINT[] NOT NULL,
+                    cost DOUBLE PRECISION NOT NULL DEFAULT 100000
+                )`);
+            await client.query(`CREATE INDEX turn_restrictions_path_idx ON ${s}.turn_restrictions USING GIN (path)`);
+            for (const table of ['grid_lines', 'network_nodes', 'network_edges']) {
+                await client.query(`ANALYZE ${s}.${table}`);
+            }
+        }
+    },
+    {
+        name: 'activate',
+        label: 'Switching routing to the new graph',
+        run: (client, s, version) => activateTables(client, version)
+    }
+];
+
+// Swap a version's tables into public. Runs inside the caller's transaction.
+async function activateTables(client, version) {
+    await client.query('LOCK TABLE public.network_versions IN SHARE ROW EXCLUSIVE MODE');
+    const active = await client.query("SELECT version FROM public.network_versions WHERE status = 'active'");
+    const previous = active.rows.length ? Number(active.rows[0].version) : 0;
+    const from = schemaName(version);
+    const to = schemaName(previous);
+
+    await client.query(`CREATE SCHEMA IF NOT EXISTS ${to}`);
+    for (const table of GRAPH_TABLES) {
+        const exists = await client.query('SELECT to_regclass($1) IS NOT NULL AS found', [`public.${table}`]);
+        if (exists.rows[0].found) {
+            await client.query(`ALTER TABLE public.${table} SET SCHEMA ${to}`);
+        }
+        await client.query(`ALTER TABLE ${from}.${table} SET SCHEMA public`);
+    }
+
+    await client.query("UPDATE public.network_versions SET status = 'retired' WHERE status = 'active'");
+    await client.query(
+        "UPDATE public.network_versions SET status = 'active', activated_at = now(), updated_at = now() WHERE version = $1",
+        [version]
+    );
+}
+
+// Row counts of a version's graph, recorded once it is indexed
+async function graphStats(client, s) {
+    const result = await client.query(`
+        SELECT (SELECT COUNT(*) FROM ${s}.grid_lines) AS lines,
+               (SELECT COUNT(*) FROM ${s}.network_nodes) AS nodes,
+               (SELECT COUNT(*) FROM ${s}.network_edges) AS edges,
+               (SELECT COUNT(*) FROM ${s}.network_edges WHERE reverse_cost < 0) AS one_way_edges`);
+    const row = result.rows[0];
+    return {
+        lines: Number(row.lines),
+        nodes: Number(row.nodes),
+        edges: Number(row.edges),
+        oneWayEdges: Number(row.one_way_edges)
+    };
+}
+
+// What the API reports about a build
+function describeBuild(row) {
+    const step = Number(row.step);
+    const current = steps[step];
+    return {
+        version: Number(row.version),
+        status: row.status,
+        sourceFormat: row.source_format,
+        sourceName: row.source_name,
+        roadCount: Number(row.road_count),
+        step,
+        totalSteps: steps.length,
+        stepName: current && ['queued', 'running', 'failed'].includes(row.status) ? current.label : null,
+        progress: Math.round(step / steps.length * 100),
+        error: row.error,
+        stats: row.stats,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        activatedAt: row.activated_at
+    };
+}
+
+async function getBuild(client, version) {
+    if (!Number.isInteger(version)) {
+        throw new ApiError(404, `Network build ${version} does not exist`);
+    }
+    const result = await client.query('SELECT * FROM public.network_versions WHERE version = $1', [version]);
+    if (!result.rows.length) {
+        throw new ApiError(404, `Network build ${version} does not exist`);
+    }
+    return describeBuild(result.rows[0]);
+}
+
+async function listBuilds(client) {
+    const result = await client.query('SELECT * FROM public.network_versions ORDER BY version DESC');
+    return result.rows.map(describeBuild);
+}
+
+// Store an upload as a new queued version with its roads in
+// network_v<version>.roads. Either all of it is stored or none.
+async function createBuild(client, roads, { format, name = null }) {
+    if (!roads.length) {
+        throw new ApiError(400, 'The upload contains no road lines');
+    }
+    try {
+        await client.query('BEGIN');
+        const created = await client.query(
+            'INSERT INTO public.network_versions (source_format, source_name, road_count) VALUES ($1, $2, $3) RETURNING version',
+            [format, name, roads.length]
+        );
+        const version = Number(created.rows[0].version);
+        const s = schemaName(version);
+        await client.query(`CREATE SCHEMA ${s}`);
+        await client.query(`
+            CREATE TABLE ${s}.roads (
+                id SERIAL PRIMARY KEY,
+                name TEXT,
+                fclass TEXT,
+                maxspeed INTEGER,
+                oneway CHAR(1),
+                geom geometry(Geometry, 4326)
+            )`);
+        await insertInBatches(roads, batch => client.query(`
+                INSERT INTO ${s}.roads (name, fclass, maxspeed, oneway, geom)
+                SELECT name, fclass, maxspeed, oneway, ST_SetSRID(ST_GeomFromGeoJSON(geometry), 4326)
+                FROM unnest($1::text[], $2::text[], $3::integer[], $4::text[], $5::text[])
+                    AS t(name, fclass, maxspeed, oneway, geometry)`,
+            [
+                batch.map(r => r.name),
+                batch.map(r => r.roadClass),
+                batch.map(r => r.maxspeed),
+                batch.map(r => r.oneway),
+                batch.map(r => JSON.stringify(r.geometry))
+            ]));
+        await client.query('COMMIT');
+        return getBuild(client, version);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+}
+
+// Run the remaining steps of a build, one transaction per step
+async function runBuild(pool, version) {
+    const client = await pool.connect();
+    try {
+        const result = await client.query(
+            "UPDATE public.network_versions SET status = 'running', error = NULL, updated_at = now() WHERE version = $1 AND status IN ('queued', 'running') RETURNING step",
+            [version]
+        );
+        if (!result.rows.length) return;
+        const s = schemaName(version);
+
+        for (let index = Number(result.rows[0].step); index < steps.length; index++) {
+            const step = steps[index];
+            console.log(`Network build ${version}: ${step.label} (${index + 1}/${steps.length})`);
+            try {
+                await client.query('BEGIN');
+                await step.run(client, s, version);
+                const stats = step.name === 'indexes' ? await graphStats(client, s) : null;
+                await client.query(
+                    'UPDATE public.network_versions SET step = $2, stats = COALESCE($3, stats), updated_at = now() WHERE version = $1',
+                    [version, index + 1, stats]
+                );
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                console.error(`Network build ${version} failed at '${step.name}':`, err);
+                await client.query(
+                    "UPDATE public.network_versions SET status = 'failed', error = $2, updated_at = now() WHERE version = $1",
+                    [version, `${step.label}: ${err.message}`]
+                );
+                return;
+            }
+        }
+        await invalidateRouteCache(client);
+        console.log(`Network build ${version} is now the active graph`);
+    } finally {
+        client.release();
+    }
+}
+
+// Builds run one at a time, in the order they were queued
+const buildQueue = serialQueue();
+
+function enqueueBuild(pool, version) {
+    return buildQueue(`Network build ${version}`, () => runBuild(pool, version));
+}
+
+// Queue a failed build again from the step it failed at
+async function resumeBuild(pool, client, version) {
+    const build = await getBuild(client, version);
+    if (build.status !== 'failed') {
+        throw new ApiError(409, `Network build ${version} is ${build.status}; only failed builds can be resumed`);
+    }
+    await client.query("UPDATE public.network_versions SET status = 'queued', updated_at = now() WHERE version = $1", [version]);
+    enqueueBuild(pool, version);
+    return getBuild(client, version);
+}
+
+// Switch back to an earlier, retired version
+async function activateBuild(client, version) {
+    const build = await getBuild(client, version);
+    if (build.status !== 'retired') {
+        throw new ApiError(409, `Network build ${version} is ${build.status}; only retired builds can be reactivated`);
+    }
+    try {
+        await client.query('BEGIN');
+        await activateTables(client, version);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+    await invalidateRouteCache(client);
+    return getBuild(client, version);
+}
+
+// Create the versions table and pick up builds interrupted by a restart
+async function startBuildRunner(pool) {
+    await pool.query(VERSIONS_TABLE_SQL);
+    const pending = await pool.query(
+        "SELECT version FROM public.network_versions WHERE status IN ('queued', 'running') ORDER BY version"
+    );
+    for (const row of pending.rows) {
+        console.log(`Resuming network build ${row.version}`);
+        enqueueBuild(pool, Number(row.version));
+    }
+}
+
+module.exports = { getBuild, listBuilds, createBuild, enqueueBuild, resumeBuild, activateBuild, startBuildRunner };
@@ -0,0 +1,134 @@
+const { routeCacheSize: ROUTE_CACHE_SIZE, routeCacheTable: ROUTE_CACHE_TABLE } = require('./config');
+
+// Computed routes, keyed by the snapped start and end positions, algorithm
+// and params, cost profile and graph version. Entries live in an
+// in-memory LRU and, when ROUTE_CACHE_TABLE=true, in a Postgres table
+// shared by every backend process. The graph version is part of the key,
+// so a rebuilt network never serves old routes; activating a build also
+// empties the cache to free the space.
+
+const TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS public.route_cache (
+        key TEXT PRIMARY KEY,
+        graph_version INTEGER NOT NULL,
+        route JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`;
+
+// Map iteration follows insertion order, so the first key is the least
+// recently used one
+const entries = new Map();
+
+const stats = { hits: 0, misses: 0, memoryHits: 0, tableHits: 0, invalidations: 0 };
+
+function routeCacheEnabled() {
+    return ROUTE_CACHE_SIZE > 0;
+}
+
+// Version of the active graph; 0 for a graph built by hand
+async function graphVersion(client) {
+    const result = await client.query("SELECT version FROM public.network_versions WHERE status = 'active'");
+    return result.rows.length ? Number(result.rows[0].version) : 0;
+}
+
+// Snapped positions are rounded so repeated clicks on the same spot share
+// an entry. The active closures are part of the key, so routes follow
+// closures as they start, end or are expired.
+function routeCacheKey({ version, algorithm, profile, params, snaps, closureIds = [] }) {
+    const positions = snaps.map(snap => `${snap.edgeId}@${snap.fraction.toFixed(6)}`);
+    return [version, algorithm, profile, JSON.stringify(params), `closures:${closureIds.join(',')}`, ...positions].join('|');
+}
+
+function remember(key, route) {
+    entries.delete(key);
+    entries.set(key, route);
+    while (entries.size > ROUTE_CACHE_SIZE) {
+        entries.delete(entries.keys().next().value);
+    }
+}
+
+// Cached route for `key`, or null. Returns { route, source } on a hit.
+async function getCachedRoute(client, key) {
+    if (!routeCacheEnabled()) return null;
+    if (entries.has(key)) {
+        const route = entries.get(key);
+        remember(key, route);
+        stats.hits += 1;
+        stats.memoryHits += 1;
+        return { route, source: 'memory' };
+    }
+    if (ROUTE_CACHE_TABLE) {
+        const result = await client.query('SELECT route FROM public.route_cache WHERE key = $1', [key]);
+        if (result.rows.length) {
+            const route = result.rows[0].route;
+            remember(key, route);
+            stats.hits += 1;
+            stats.tableHits += 1;
+            return { route, source: 'table' };
+        }
+    }
+    stats.misses += 1;
+    return null;
+}
+
+async function cacheRoute(client, key, version, route) {
+    if (!routeCacheEnabled()) return;
+    remember(key, route);
+    if (ROUTE_CACHE_TABLE) {
+        await client.query(
+            'INSERT INTO public.route_cache (key, graph_version, route) VALUES ($1, $2, $3) ON CONFLICT (key) DO NOTHING',
+            [key, version, JSON.stringify(route)]
+        );
+    }
+}
+
+// Drop every cached route, e.g. after the active graph changed
+async function invalidateRouteCache(client) {
+    entries.clear();
+    stats.invalidations += 1;
+    if (ROUTE_CACHE_TABLE) {
+        await client.query('DELETE FROM public.route_cache');
+    }
+}
+
+// Hit and miss totals reported with each route
+function routeCacheCounts() {
+    return { hits: stats.hits, misses: stats.misses };
+}
+
+// Counters for GET /cache/stats
+async function routeCacheStats(client) {
+    const lookups = stats.hits + stats.misses;
+    const table = ROUTE_CACHE_TABLE
+        ? Number((await client.query('SELECT COUNT(*) AS count FROM public.route_cache')).rows[0].count)
+        : null;
+    return {
+        enabled: routeCacheEnabled(),
+        graphVersion: await graphVersion(client),
+        ...stats,
+        hitRate: lookups ? stats.hits / lookups : 0,
+        entries: entries.size,
+        maxEntries: ROUTE_CACHE_SIZE,
+        tableEnabled: ROUTE_CACHE_TABLE,
+        tableEntries: table
+    };
+}
+
+// Create the cache table when it is enabled
+async function startRouteCache(pool) {
+    if (routeCacheEnabled() && ROUTE_CACHE_TABLE) {
+        await pool.query(TABLE_SQL);
+    }
+}
+
+module.exports = {
+    graphVersion,
+    routeCacheKey,
+    routeCacheEnabled,
+    getCachedRoute,
+    cacheRoute,
+    routeCacheCounts,
+    invalidateRouteCache,
+    routeCacheStats,
+    startRouteCache
+};
@@ -0,0 +1,236 @@
+const { ApiError } = require('./errors');
+
+// Temporary road closures and penalties, e.g. for roadworks or events,
+// applied on top of the routing graph without rebuilding it. A closure
+// covers listed edges, the edges crossing a polygon, or both. 'closed'
+// removes those edges from routing; 'penalty' multiplies their cost (and
+// travel time) by `factor`. A closure applies from `starts_at` until
+// `ends_at`, or until it is expired.
+//
+// Edge ids belong to the graph they were picked on, so a closure records
+// that graph's version and its edges only apply while it is active; after
+// a network build is activated they are flagged `staleEdges`. Polygon
+// closures also hold after a network rebuild.
+
+const CLOSURE_KINDS = ['closed', 'penalty'];
+
+const CLOSURES_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS public.road_closures (
+        id SERIAL PRIMARY KEY,
+        kind TEXT NOT NULL,
+        factor DOUBLE PRECISION,
+        reason TEXT,
+        edge_ids BIGINT[] NOT NULL DEFAULT '{}',
+        graph_version INTEGER NOT NULL DEFAULT 0,
+        area geometry(MultiPolygon, 4326),
+        starts_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        ends_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )`;
+
+const ACTIVE_SQL = 'c.starts_at <= now() AND (c.ends_at IS NULL OR c.ends_at > now())';
+
+// Version of the active graph; 0 for a graph built by hand
+const GRAPH_VERSION_SQL = "COALESCE((SELECT version FROM public.network_versions WHERE status = 'active'), 0)";
+
+// Whether a closure's edge ids were picked on the active graph
+const CURRENT_EDGES_SQL = `c.graph_version = ${GRAPH_VERSION_SQL}`;
+
+// Edges each closure covers: its listed edges, while they belong to the
+// active graph, plus those crossing its area
+const COVERED_EDGES_SQL = `
+    SELECT c.id AS closure_id, c.kind, c.factor, covered.edge_id
+    FROM public.road_closures c
+    CROSS JOIN LATERAL (
+        SELECT unnest(c.edge_ids) AS edge_id WHERE ${CURRENT_EDGES_SQL}
+        UNION
+        SELECT e.id FROM public.network_edges e
+        WHERE c.area IS NOT NULL AND ST_Intersects(e.geom, c.area)
+    ) AS covered
+    WHERE ${ACTIVE_SQL}`;
+
+// Active closures folded per edge, for joining onto network_edges as `cl`:
+// an edge is closed when any closure closes it, otherwise the largest
+// penalty factor applies
+const CLOSED_EDGES_SQL = `
+    SELECT edge_id, bool_or(kind = 'closed') AS closed, MAX(factor) AS factor
+    FROM (${COVERED_EDGES_SQL}) AS covered
+    GROUP BY edge_id`;
+
+const CLOSURE_COLUMNS = `c.id, c.kind, c.factor, c.reason, c.edge_ids, ST_AsGeoJSON(c.area) AS area,
+    c.graph_version, ${CURRENT_EDGES_SQL} AS current_edges, c.starts_at, c.ends_at, c.created_at, ${ACTIVE_SQL} AS active`;
+
+// Closures with the merged geometry of the edges they cover, for drawing
+const LIST_SQL = `
+    SELECT ${CLOSURE_COLUMNS}, covered.edge_count, covered.geometry
+    FROM public.road_closures c
+    LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS edge_count, ST_AsGeoJSON(ST_Collect(e.geom)) AS geometry
+        FROM public.network_edges e
+        WHERE (${CURRENT_EDGES_SQL} AND e.id = ANY(c.edge_ids)) OR (c.area IS NOT NULL AND ST_Intersects(e.geom, c.area))
+    ) AS covered ON TRUE`;
+
+function describeClosure(row) {
+    return {
+        id: Number(row.id),
+        kind: row.kind,
+        factor: row.factor == null ? null : Number(row.factor),
+        reason: row.reason,
+        edges: row.edge_ids.map(Number),
+        graphVersion: Number(row.graph_version),
+        staleEdges: row.edge_ids.length > 0 && !row.current_edges,
+        area: row.area ? JSON.parse(row.area) : null,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        createdAt: row.created_at,
+        active: row.active,
+        edgeCount: Number(row.edge_count),
+        geometry: row.geometry ? JSON.parse(row.geometry) : null
+    };
+}
+
+function parseTime(value, name) {
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new ApiError(400, `'${name}' must be an ISO 8601 date and time`);
+    }
+    return time;
+}
+
+// Polygon or MultiPolygon GeoJSON geometry as a MultiPolygon
+function parseArea(area) {
+    if (area.type === 'Polygon' && Array.isArray(area.coordinates)) {
+        return { type: 'MultiPolygon', coordinates: [area.coordinates] };
+    }
+    if (area.type === 'MultiPolygon' && Array.isArray(area.coordinates)) {
+        return area;
+    }
+    throw new ApiError(400, "'area' must be a GeoJSON Polygon or MultiPolygon geometry");
+}
+
+// Check a validated POST /closures body and return the closure to store
+function parseClosure({ kind = 'closed', factor, reason = null, edges = [], area, startsAt, endsAt }) {
+    if (!CLOSURE_KINDS.includes(kind)) {
+        throw new ApiError(400, `Unknown closure kind '${kind}'. Available: ${CLOSURE_KINDS.join(', ')}`);
+    }
+    if (kind === 'penalty' && !(factor > 1)) {
+        throw new ApiError(400, "A penalty needs a 'factor' above 1");
+    }
+    if (kind === 'closed' && factor !== undefined) {
+        throw new ApiError(400, "'factor' only applies to penalties");
+    }
+    if (!edges.every(edge => Number.isInteger(edge))) {
+        throw new ApiError(400, "'edges' must be an array of edge ids");
+    }
+    if (!edges.length && !area) {
+        throw new ApiError(400, "A closure needs 'edges', an 'area' or both");
+    }
+    const starts = startsAt ? parseTime(startsAt, 'startsAt') : null;
+    const ends = endsAt ? parseTime(endsAt, 'endsAt') : null;
+    if (ends && ends <= (starts || new Date())) {
+        throw new ApiError(400, "'endsAt' must be after the closure starts");
+    }
+    return {
+        kind,
+        factor: kind === 'penalty' ? factor : null,
+        reason,
+        edges: [...new Set(edges)],
+        area: area ? parseArea(area) : null,
+        startsAt: starts,
+        endsAt: ends
+    };
+}
+
+async function getClosure(client, id) {
+    if (!Number.isInteger(id)) {
+        throw new ApiError(404, `Closure ${id} does not exist`);
+    }
+    const result = await client.query(`${LIST_SQL} WHERE c.id = $1`, [id]);
+    if (!result.rows.length) {
+        throw new ApiError(404, `Closure ${id} does not exist`);
+    }
+    return describeClosure(result.rows[0]);
+}
+
+// Store a closure after checking its edges exist and its area is valid
+async function createClosure(client, closure) {
+    if (closure.edges.length) {
+        const found = await client.query('SELECT id FROM public.network_edges WHERE id = ANY($1::bigint[])', [closure.edges]);
+        const known = new Set(found.rows.map(row => Number(row.id)));
+        const unknown = closure.edges.filter(edge => !known.has(edge));
+        if (unknown.length) {
+            throw new ApiError(400, `Unknown edge${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+        }
+    }
+    if (closure.area) {
+        let valid;
+        try {
+            const check = await client.query('SELECT ST_IsValid(ST_GeomFromGeoJSON($1)) AS valid', [JSON.stringify(closure.area)]);
+            valid = check.rows[0].valid;
+        } catch (err) {
+            throw new ApiError(400, `'area' is not valid GeoJSON: ${err.message}`);
+        }
+        if (!valid) {
+            throw new ApiError(400, "'area' is not a valid polygon (rings must close and must not cross themselves)");
+        }
+    }
+    const result = await client.query(
+        `INSERT INTO public.road_closures (kind, factor, reason, edge_ids, graph_version, area, starts_at, ends_at)
+         VALUES ($1, $2, $3, $4::bigint[], ${GRAPH_VERSION_SQL}, ST_SetSRID(ST_GeomFromGeoJSON($5), 4326), COALESCE($6, now()), $7)
+         RETURNING id`,
+        [
+            closure.kind, closure.factor, closure.reason, closure.edges,
+            closure.area ? JSON.stringify(closure.area) : null, closure.startsAt, closure.endsAt
+        ]
+    );
+    return getClosure(client, result.rows[0].id);
+}
+
+// Active closures, or every closure with `all`, newest first
+async function listClosures(client, { all = false } = {}) {
+    const result = await client.query(`${LIST_SQL} ${all ? '' : `WHERE ${ACTIVE_SQL}`} ORDER BY c.created_at DESC`);
+    return result.rows.map(describeClosure);
+}
+
+// End a closure now; expiring an ended closure is refused
+async function expireClosure(client, id) {
+    const closure = await getClosure(client, id);
+    if (closure.endsAt && new Date(closure.endsAt) <= new Date()) {
+        throw new ApiError(409, `Closure ${id} has already ended`);
+    }
+    await client.query('UPDATE public.road_closures SET ends_at = now() WHERE id = $1', [id]);
+    return getClosure(client, id);
+}
+
+// Ids of the closures in force, sorted; part of the route cache key so
+// cached routes follow closures as they start and end
+async function activeClosureIds(client) {
+    const result = await client.query(`SELECT c.id FROM public.road_closures c WHERE ${ACTIVE_SQL} ORDER BY c.id`);
+    return result.rows.map(row => Number(row.id));
+}
+
+// Ids of the active closures covering any of the edges
+async function closuresOnEdges(client, edgeIds) {
+    if (!edgeIds.length) return [];
+    const result = await client.query(
+        `SELECT DISTINCT closure_id FROM (${COVERED_EDGES_SQL}) AS covered WHERE edge_id = ANY($1::bigint[]) ORDER BY closure_id`,
+        [edgeIds]
+    );
+    return result.rows.map(row => Number(row.closure_id));
+}
+
+async function startClosures(pool) {
+    await pool.query(CLOSURES_TABLE_SQL);
+}
+
+module.exports = {
+    CLOSED_EDGES_SQL,
+    parseClosure,
+    getClosure,
+    createClosure,
+    listClosures,
+    expireClosure,
+    activeClosureIds,
+    closuresOnEdges,
+    startClosures
+};
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// Backend settings, read from the environment. A .env file next to this
+// one (or the file named by ENV_FILE) is loaded first; variables already
+// set in the environment win over it. See .env.example for every setting.
+
+const envFile = process.env.ENV_FILE || path.join(__dirname, '.env');
+if (fs.existsSync(envFile)) {
+    process.loadEnvFile(envFile);
+}
+
+function numberSetting(name, fallback) {
+    const value = process.env[name];
+    if (value == null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`${name} must be a number, got '${value}'`);
+    }
+    return number;
+}
+
+// Whole number of at least 1, e.g. a worker count
+function countSetting(name, fallback) {
+    const number = numberSetting(name, fallback);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${name} must be a whole number of at least 1, got '${process.env[name]}'`);
+    }
+    return number;
+}
+
+// '*' allows any origin; otherwise a comma-separated list of origins
+function corsOrigin(value = '*') {
+    return value === '*' ? '*' : value.split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+const env = process.env;
+
+const config = {
+    port: numberSetting('PORT', 3001),
+    // DATABASE_URL, when set, replaces the separate connection settings
+    db: env.DATABASE_URL
+        ? { connectionString: env.DATABASE_URL }
+        : {
+            host: env.PGHOST || 'localhost',
+            port: numberSetting('PGPORT', 5435),
+            database: env.PGDATABASE || 'postgres',
+            user: env.PGUSER || 'postgres',
+            password: env.PGPASSWORD
+        },
+    corsOrigin: corsOrigin(env.CORS_ORIGIN),
+    // Largest accepted road network or places upload
+    networkUploadLimit: env.NETWORK_UPLOAD_LIMIT || '100mb',
+    // Farthest a click may be from any road before the request is refused
+    snapToleranceMeters: numberSetting('SNAP_TOLERANCE_METERS', 500),
+    // Routes kept in memory (0 disables caching) and whether the
+    // route_cache table is shared between backend processes
+    routeCacheSize: numberSetting('ROUTE_CACHE_SIZE', 500),
+    routeCacheTable: env.ROUTE_CACHE_TABLE === 'true',
+    // Largest accepted batch job upload, and how many of its pairs are
+    // routed at once; keep this below the pool size (10 by default)
+    batchUploadLimit: env.BATCH_UPLOAD_LIMIT || '10mb',
+    batchConcurrency: countSetting('BATCH_CONCURRENCY', 4)
+};
+
+module.exports = config;
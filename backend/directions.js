@@ -0,0 +1,110 @@
+// Turn-by-turn directions built from ordered path rows
+
+// Heading changes up to this many degrees count as going straight on
+const STRAIGHT_TOLERANCE_DEGREES = 30;
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Initial bearing in degrees (0 = north, clockwise) between [lng, lat] positions
+function bearing(from, to) {
+    const [lng1, lat1] = from.map(toRadians);
+    const [lng2, lat2] = to.map(toRadians);
+    const y = Math.sin(lng2 - lng1) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lng2 - lng1);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Maneuver for a change of heading, both bearings in degrees
+function maneuver(fromBearing, toBearing) {
+    const delta = ((toBearing - fromBearing + 540) % 360) - 180;
+    if (Math.abs(delta) <= STRAIGHT_TOLERANCE_DEGREES) return 'straight';
+    return delta < 0 ? 'left' : 'right';
+}
+
+function instruction(step) {
+    const onto = step.road ? ` onto ${step.road}` : '';
+    switch (step.maneuver) {
+        case 'depart':
+            return `Head ${COMPASS[Math.round(step.bearing / 45) % 8]}${step.road ? ` on ${step.road}` : ''}`;
+        case 'straight':
+            return `Continue straight${onto}`;
+        case 'waypoint':
+            return `Arrive at stop ${step.leg - 1}, then continue${onto}`;
+        case 'arrive':
+            return 'Arrive at destination';
+        default:
+            return `Turn ${step.maneuver}${onto}`;
+    }
+}
+
+// Coordinates of a path row in driving order. Edges driven against their
+// digitised direction start at their target node.
+function drivenCoordinates(row) {
+    const coordinates = JSON.parse(row.geometry).coordinates;
+    return Number(row.node) === Number(row.source) ? coordinates : [...coordinates].reverse();
+}
+
+// Steps for one path: consecutive edges on the same road are merged, and
+// each change of road becomes a maneuver from the bearing change at the
+// junction. Unnamed edges stay in one step while they go straight on. On
+// multi-stop routes a new leg (path_id) starts with a waypoint step.
+function buildDirections(rows) {
+    const steps = [];
+    let current = null;
+    let previousEnd = null;
+    let previousLeg = null;
+
+    for (const row of rows) {
+        const coordinates = drivenCoordinates(row);
+        if (coordinates.length < 2) continue;
+        const road = row.road_name || null;
+        const leg = Number(row.path_id);
+        const startBearing = bearing(coordinates[0], coordinates[1]);
+        const turn = previousEnd === null ? 'depart' : maneuver(previousEnd, startBearing);
+
+        const newLeg = previousLeg !== null && leg !== previousLeg;
+        const sameRoad = current && !newLeg && (road ? road === current.road : !current.road && turn === 'straight');
+        if (sameRoad) {
+            current.distance += Number(row.length_km);
+            current.travelTime += Number(row.travel_minutes);
+            current.edges.push(Number(row.id));
+            current.geometry.coordinates.push(...coordinates.slice(1));
+        } else {
+            current = {
+                maneuver: newLeg ? 'waypoint' : turn,
+                road,
+                leg,
+                bearing: Math.round(startBearing),
+                distance: Number(row.length_km),
+                travelTime: Number(row.travel_minutes),
+                edges: [Number(row.id)],
+                geometry: { type: 'LineString', coordinates: [...coordinates] }
+            };
+            steps.push(current);
+        }
+
+        const last = coordinates.length - 1;
+        previousEnd = bearing(coordinates[last - 1], coordinates[last]);
+        previousLeg = leg;
+    }
+
+    if (current) {
+        const end = current.geometry.coordinates[current.geometry.coordinates.length - 1];
+        steps.push({
+            maneuver: 'arrive',
+            road: null,
+            leg: current.leg,
+            bearing: null,
+            distance: 0,
+            travelTime: 0,
+            edges: [],
+            geometry: { type: 'Point', coordinates: end }
+        });
+    }
+
+    return steps.map((step, index) => ({ step: index + 1, instruction: instruction(step), ...step }));
+}
+
+module.exports = { bearing, maneuver, buildDirections };
@@ -0,0 +1,30 @@
+// Machine-readable error codes reported next to the message, so clients
+// can tell failures apart without parsing text
+const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+    SNAP_TOO_FAR: 'SNAP_TOO_FAR',
+    NO_PATH: 'NO_PATH',
+    NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    DB_ERROR: 'DB_ERROR'
+};
+
+// Code used when an ApiError is raised without one
+const DEFAULT_CODES = {
+    400: ERROR_CODES.INVALID_REQUEST,
+    404: ERROR_CODES.NOT_FOUND,
+    409: ERROR_CODES.CONFLICT
+};
+
+// Error carrying the HTTP status and error code it should be reported with
+class ApiError extends Error {
+    constructor(status, message, code = DEFAULT_CODES[status] || ERROR_CODES.INVALID_REQUEST) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+module.exports = { ERROR_CODES, ApiError };
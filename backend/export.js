@@ -0,0 +1,139 @@
+const { ApiError } = require('./errors');
+
+// Serialise computed routes for GPS devices and desktop GIS
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Merged route geometry as a list of lines, each a list of [lng, lat]
+function routeLines(route) {
+    const feature = route.route.features.find(f => f.properties.role === 'route');
+    if (!feature) return [];
+    return feature.geometry.type === 'MultiLineString' ? feature.geometry.coordinates : [feature.geometry.coordinates];
+}
+
+// Snapped start, stops and end as named waypoints, in request order
+function routeWaypoints(route) {
+    const snaps = Array.isArray(route.snap) ? route.snap : [route.snap.start, route.snap.end];
+    return snaps.map((snap, index) => ({
+        name: index === 0 ? 'Start' : (index === snaps.length - 1 ? 'End' : `Stop ${index}`),
+        lat: snap.point.lat,
+        lng: snap.point.lng
+    }));
+}
+
+function describe(route) {
+    return `${route.totalDistance.toFixed(2)} km, ${Math.round(route.travelTime)} min`;
+}
+
+// GPX 1.1: start/end (and stop) waypoints plus one track segment per line
+function toGPX(route, name) {
+    const waypoints = routeWaypoints(route).map(w =>
+        `  <wpt lat="${w.lat}" lon="${w.lng}"><name>${escapeXML(w.name)}</name></wpt>`);
+    const segments = routeLines(route).map(line => [
+        '    <trkseg>',
+        ...line.map(([lng, lat]) => `      <trkpt lat="${lat}" lon="${lng}"/>`),
+        '    </trkseg>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="pgRouting Shortest Path" xmlns="http://www.topografix.com/GPX/1/1">',
+        ...waypoints,
+        '  <trk>',
+        `    <name>${escapeXML(name)}</name>`,
+        `    <desc>${escapeXML(describe(route))}</desc>`,
+        ...segments,
+        '  </trk>',
+        '</gpx>',
+        ''
+    ].join('\n');
+}
+
+// KML 2.2: one placemark per waypoint and one for the route line
+function toKML(route, name) {
+    const coordinates = line => line.map(([lng, lat]) => `${lng},${lat}`).join(' ');
+    const lines = routeLines(route).map(line =>
+        `        <LineString><tessellate>1</tessellate><coordinates>${coordinates(line)}</coordinates></LineString>`);
+    const waypoints = routeWaypoints(route).map(w => [
+        '    <Placemark>',
+        `      <name>${escapeXML(w.name)}</name>`,
+        `      <Point><coordinates>${w.lng},${w.lat}</coordinates></Point>`,
+        '    </Placemark>'
+    ].join('\n'));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        `    <name>${escapeXML(name)}</name>`,
+        '    <Style id="route"><LineStyle><color>ffff7b00</color><width>4</width></LineStyle></Style>',
+        '    <Placemark>',
+        `      <name>${escapeXML(name)}</name>`,
+        `      <description>${escapeXML(describe(route))}</description>`,
+        '      <styleUrl>#route</styleUrl>',
+        '      <MultiGeometry>',
+        ...lines,
+        '      </MultiGeometry>',
+        '    </Placemark>',
+        ...waypoints,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+// GeoJSON: the merged route line followed by the waypoints
+function toGeoJSON(route, name) {
+    const line = route.route.features.find(f => f.properties.role === 'route');
+    const features = [];
+    if (line) {
+        features.push({
+            type: 'Feature',
+            geometry: line.geometry,
+            properties: {
+                name,
+                totalDistance: route.totalDistance,
+                travelTime: route.travelTime,
+                totalCost: route.totalCost,
+                costUnit: route.costUnit
+            }
+        });
+    }
+    for (const w of routeWaypoints(route)) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [w.lng, w.lat] },
+            properties: { name: w.name }
+        });
+    }
+    return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+const formats = {
+    gpx: { contentType: 'application/gpx+xml', serialize: toGPX },
+    kml: { contentType: 'application/vnd.google-earth.kml+xml', serialize: toKML },
+    geojson: { contentType: 'application/geo+json', serialize: toGeoJSON }
+};
+
+// Validate a requested download format; null means a normal JSON response
+function getExportFormat(name) {
+    if (name == null || name === 'json') return null;
+    if (!Object.prototype.hasOwnProperty.call(formats, name)) {
+        throw new ApiError(400, `Unknown export format '${name}'. Available: json, ${Object.keys(formats).join(', ')}`);
+    }
+    return name;
+}
+
+// Send a computed route as a file download
+function sendExport(res, format, route, name) {
+    const { contentType, serialize } = formats[format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="route-${route.routeId}.${format}"`);
+    res.send(serialize(route, name));
+}
+
+module.exports = { getExportFormat, sendExport };
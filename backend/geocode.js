@@ -0,0 +1,187 @@
+const { ApiError } = require('./errors');
+const { insertInBatches } = require('./jobs');
+const { isPosition } = require('./geojson');
+
+// Place search and reverse geocoding against local data only: the places
+// table (imported named points such as districts, landmarks and
+// addresses) and the street names of the active road network.
+
+const DEFAULT_GEOCODE_LIMIT = 8;
+const MAX_GEOCODE_LIMIT = 50;
+
+// Farthest a place may be from a point to be named by reverse geocoding
+const REVERSE_PLACE_METERS = 150;
+
+const PLACES_TABLE_SQL = `
+    CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    CREATE TABLE IF NOT EXISTS public.places (
+        id SERIAL PRIMARY KEY,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'place',
+        address TEXT,
+        geom geometry(Point, 4326) NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS places_name_trgm_idx ON public.places USING GIN (name gin_trgm_ops);
+    CREATE INDEX IF NOT EXISTS places_geom_idx ON public.places USING GIST (geom)`;
+
+// Places and streets whose name contains the query or resembles it by
+// trigram word similarity, best match first. A street is one entry per
+// name, placed on its road nearest the middle of all its edges.
+// $1 = query, $2 = query escaped for LIKE, $3 = limit
+const SEARCH_SQL = `
+    WITH matches AS (
+        SELECT name, kind, address, geom, word_similarity($1, name) AS score
+        FROM public.places
+        WHERE $1 <% name OR name ILIKE '%' || $2 || '%'
+        UNION ALL
+        SELECT name, 'street', NULL,
+               ST_ClosestPoint(ST_Collect(geom), ST_Centroid(ST_Collect(geom))),
+               word_similarity($1, name)
+        FROM public.network_edges
+        WHERE name IS NOT NULL AND ($1 <% name OR name ILIKE '%' || $2 || '%')
+        GROUP BY name
+    )
+    SELECT name, kind, address, ST_Y(geom) AS lat, ST_X(geom) AS lng, score
+    FROM matches
+    ORDER BY score DESC, length(name), name
+    LIMIT $3`;
+
+// Nearest named road and nearest place to a point, $1 = latitude,
+// $2 = longitude, $3 = place search radius in metres
+const REVERSE_SQL = `
+    WITH p AS (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS geom)
+    SELECT street.name AS street_name, street.distance AS street_distance,
+           place.name AS place_name, place.kind AS place_kind, place.address AS place_address,
+           place.distance AS place_distance
+    FROM p
+    LEFT JOIN LATERAL (
+        SELECT e.name, ST_DistanceSphere(ST_ClosestPoint(e.geom, p.geom), p.geom) AS distance
+        FROM public.network_edges e
+        WHERE e.name IS NOT NULL
+        ORDER BY e.geom <-> p.geom
+        LIMIT 1
+    ) AS street ON TRUE
+    LEFT JOIN LATERAL (
+        SELECT pl.name, pl.kind, pl.address, ST_DistanceSphere(pl.geom, p.geom) AS distance
+        FROM public.places pl
+        WHERE ST_DWithin(pl.geom::geography, p.geom::geography, $3)
+        ORDER BY pl.geom <-> p.geom
+        LIMIT 1
+    ) AS place ON TRUE`;
+
+function parseGeocodeLimit(value) {
+    if (value == null) return DEFAULT_GEOCODE_LIMIT;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_GEOCODE_LIMIT) {
+        throw new ApiError(400, `Limit must be an integer from 1 to ${MAX_GEOCODE_LIMIT}`);
+    }
+    return value;
+}
+
+// Escape LIKE wildcards so the query matches literally
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// Places matching `query`, each { name, kind, address, point, score }
+async function searchPlaces(client, query, { limit = DEFAULT_GEOCODE_LIMIT } = {}) {
+    const text = query.trim();
+    if (!text) {
+        throw new ApiError(400, "'q' must not be empty");
+    }
+    const result = await client.query(SEARCH_SQL, [text, escapeLike(text), limit]);
+    return result.rows.map(row => ({
+        name: row.name,
+        kind: row.kind,
+        address: row.address,
+        point: { lat: Number(row.lat), lng: Number(row.lng) },
+        score: Number(row.score)
+    }));
+}
+
+// Street and place names for a [latitude, longitude] point, with a
+// `label` for display: the street, or the place when no road is named
+async function reverseGeocode(client, point) {
+    const result = await client.query(REVERSE_SQL, [point[0], point[1], REVERSE_PLACE_METERS]);
+    const row = result.rows[0];
+    const street = row.street_name == null ? null : { name: row.street_name, distance: Number(row.street_distance) };
+    const place = row.place_name == null ? null : {
+        name: row.place_name,
+        kind: row.place_kind,
+        address: row.place_address,
+        distance: Number(row.place_distance)
+    };
+    return {
+        street,
+        place,
+        label: street ? street.name : place ? place.name : null
+    };
+}
+
+// Places from a GeoJSON FeatureCollection of named points (text or
+// already parsed). The kind comes from `kind`, `type`, `amenity` or
+// `place`; the address from `address` or OSM-style addr:* tags. A named
+// point without valid coordinates refuses the upload.
+function placesFromGeoJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (err) {
+            throw new ApiError(400, `Upload is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new ApiError(400, 'GeoJSON upload must be a FeatureCollection');
+    }
+    return data.features
+        .filter(f => f && f.geometry && f.geometry.type === 'Point' && f.properties && f.properties.name)
+        .map(f => {
+            if (!isPosition(f.geometry.coordinates)) {
+                throw new ApiError(400, `Place '${f.properties.name}' needs Point coordinates [longitude, latitude]`);
+            }
+            const p = f.properties;
+            const street = [p['addr:street'], p['addr:housenumber']].filter(Boolean).join(' ');
+            return {
+                name: String(p.name),
+                kind: p.kind || p.type || p.amenity || p.place || 'place',
+                address: p.address || street || null,
+                lng: Number(f.geometry.coordinates[0]),
+                lat: Number(f.geometry.coordinates[1])
+            };
+        });
+}
+
+// Store imported places in one transaction, first emptying the table
+// when `replace` is set. Returns the number stored.
+async function importPlaces(client, places, { replace = false } = {}) {
+    if (!places.length) {
+        throw new ApiError(400, 'The upload contains no named points');
+    }
+    await client.query('BEGIN');
+    try {
+        if (replace) await client.query('TRUNCATE public.places');
+        await insertInBatches(places, batch => client.query(
+            `INSERT INTO public.places (name, kind, address, geom)
+             SELECT name, kind, address, ST_SetSRID(ST_MakePoint(lng, lat), 4326)
+             FROM unnest($1::text[], $2::text[], $3::text[], $4::float8[], $5::float8[]) AS p(name, kind, address, lng, lat)`,
+            [
+                batch.map(place => place.name),
+                batch.map(place => place.kind),
+                batch.map(place => place.address),
+                batch.map(place => place.lng),
+                batch.map(place => place.lat)
+            ]
+        ));
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    }
+    return places.length;
+}
+
+async function startPlaces(pool) {
+    await pool.query(PLACES_TABLE_SQL);
+}
+
+module.exports = { parseGeocodeLimit, searchPlaces, reverseGeocode, placesFromGeoJSON, importPlaces, startPlaces };
@@ -0,0 +1,50 @@
+// Helpers for turning routing query rows into GeoJSON, and for checking
+// uploaded GeoJSON before it reaches the database
+
+// [lng, lat] pair (an optional altitude may follow) of finite numbers
+function isPosition(value) {
+    return Array.isArray(value) && value.length >= 2 && value.every(Number.isFinite);
+}
+
+// One path row (ordered edge) as a GeoJSON Feature
+function edgeFeature(row) {
+    return {
+        type: 'Feature',
+        id: Number(row.id),
+        geometry: JSON.parse(row.geometry),
+        properties: {
+            role: 'edge',
+            seq: Number(row.seq),
+            edgeId: Number(row.id),
+            source: Number(row.source),
+            target: Number(row.target),
+            roadName: row.road_name || null,
+            cost: Number(row.cost),
+            aggCost: Number(row.agg_cost),
+            length: Number(row.length_km),
+            travelTime: Number(row.travel_minutes)
+        }
+    };
+}
+
+// Ordered edge features followed by the merged route LineString
+function routeFeatureCollection(rows, mergedGeometry) {
+    const features = rows.map(edgeFeature);
+    const total = column => rows.reduce((sum, row) => sum + Number(row[column]), 0);
+    if (mergedGeometry) {
+        features.push({
+            type: 'Feature',
+            geometry: JSON.parse(mergedGeometry),
+            properties: {
+                role: 'route',
+                edgeCount: rows.length,
+                totalDistance: total('length_km'),
+                travelTime: total('travel_minutes'),
+                totalCost: total('cost')
+            }
+        });
+    }
+    return { type: 'FeatureCollection', features };
+}
+
+module.exports = { isPosition, edgeFeature, routeFeatureCollection };
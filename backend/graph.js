@@ -0,0 +1,173 @@
+const { getProfile, costColumns, travelMinutesSQL } = require('./profiles');
+const { CLOSED_EDGES_SQL } = require('./closures');
+
+// Builds the edge queries handed to pgRouting and splices snapped points
+// into the graph as virtual vertices.
+//
+// A point snapped onto edge (source -> target) at fraction f becomes a
+// virtual vertex with negative id; the edge is offered in pieces
+// source -> v (f of its cost) and v -> target (1 - f) next to the
+// original. Several points on one edge are chained in fraction order, so
+// start and end on the same edge still get a direct piece between them.
+// Piece costs and coordinates are derived in SQL from the original edge,
+// so they follow whichever cost profile is in use. Piece ids are negative
+// too, numbered below the end-of-path markers pgRouting puts in the edge
+// column, so path rows join back onto the right piece.
+//
+// Active road closures are joined onto each edge as `cl`: closed edges
+// get a negative cost both ways, penalised ones a multiplied cost.
+
+// Numbers are interpolated into SQL text, so refuse anything else
+function num(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`Invalid numeric value in graph SQL: ${value}`);
+    return String(n);
+}
+
+// Virtual vertex id for the i-th snapped point
+function virtualVertex(index) {
+    return -(index + 1);
+}
+
+// pgRouting ends each path or leg with a row of edge -1, and a via route
+// with a row of edge -2
+const PATH_END_EDGES = [-1, -2];
+
+// Virtual edge id for the i-th piece, clear of the end markers
+function virtualEdgeId(index) {
+    return -(index + 1 + PATH_END_EDGES.length);
+}
+
+// Condition keeping the path rows whose `column` is an edge, not an end marker
+function pathEdgeSQL(column) {
+    return `${column} NOT IN (${PATH_END_EDGES.join(', ')})`;
+}
+
+// Split the snapped edges into virtual pieces, see the header comment
+function virtualEdges(snaps) {
+    const byEdge = new Map();
+    snaps.forEach((snap, index) => {
+        if (!byEdge.has(snap.edgeId)) byEdge.set(snap.edgeId, []);
+        byEdge.get(snap.edgeId).push({ ...snap, vertex: virtualVertex(index) });
+    });
+
+    const edges = [];
+    for (const [edgeId, points] of byEdge) {
+        points.sort((a, b) => a.fraction - b.fraction);
+        const stops = [
+            { vertex: points[0].source, fraction: 0 },
+            ...points,
+            { vertex: points[0].target, fraction: 1 }
+        ];
+        for (let i = 0; i < stops.length - 1; i++) {
+            edges.push({
+                id: virtualEdgeId(edges.length),
+                edgeId,
+                source: stops[i].vertex,
+                target: stops[i + 1].vertex,
+                fromFraction: stops[i].fraction,
+                toFraction: stops[i + 1].fraction
+            });
+        }
+    }
+    return edges;
+}
+
+// Active closures per edge, joined onto `ne`
+const CLOSURE_JOIN = `LEFT JOIN (${CLOSED_EDGES_SQL}) AS cl ON cl.edge_id = ne.id`;
+
+// Cost columns with closed edges removed and penalties applied
+function closureCostColumns({ cost, reverseCost }) {
+    return {
+        cost: `CASE WHEN cl.closed THEN -1 ELSE (${cost}) * COALESCE(cl.factor, 1) END`,
+        reverseCost: `CASE WHEN cl.closed THEN -1 ELSE (${reverseCost}) * COALESCE(cl.factor, 1) END`
+    };
+}
+
+// Virtual pieces as a VALUES list joined to their original edge `ne`
+function virtualSource(virtual) {
+    const rows = virtual.map(e =>
+        `(${[e.id, e.source, e.target, e.edgeId].map(num).join(', ')}, ${num(e.fromFraction)}::float8, ${num(e.toFraction)}::float8)`
+    );
+    return `(VALUES ${rows.join(', ')}) AS v(id, source, target, edge_id, from_fraction, to_fraction)
+  JOIN public.network_edges ne ON ne.id = v.edge_id`;
+}
+
+// Edge query for pgRouting under a cost profile, with x1/y1/x2/y2 for the
+// A* family. `closures: false` ignores road closures, to see which ones a
+// route avoided.
+function edgesSQL({ withCoordinates = false, virtual = [], profile = getProfile(), closures = true } = {}) {
+    const columns = closures ? closureCostColumns : c => c;
+    const join = closures ? `\n  ${CLOSURE_JOIN}` : '';
+    const full = columns(costColumns(profile));
+    let sql = withCoordinates
+        ? `SELECT ne.id, ne.source, ne.target,
+    ${full.cost} AS cost,
+    ${full.reverseCost} AS reverse_cost,
+    ST_X(ns.geom) AS x1,
+    ST_Y(ns.geom) AS y1,
+    ST_X(nt.geom) AS x2,
+    ST_Y(nt.geom) AS y2
+  FROM public.network_edges ne
+  JOIN public.network_nodes ns ON ne.source = ns.id
+  JOIN public.network_nodes nt ON ne.target = nt.id${join}`
+        : `SELECT ne.id, ne.source, ne.target,
+    ${full.cost} AS cost,
+    ${full.reverseCost} AS reverse_cost
+  FROM public.network_edges ne${join}`;
+
+    if (virtual.length) {
+        const piece = columns(costColumns(profile, '(v.to_fraction - v.from_fraction)'));
+        const coordinates = withCoordinates
+            ? `,
+    ST_X(ST_LineInterpolatePoint(ne.geom, v.from_fraction)),
+    ST_Y(ST_LineInterpolatePoint(ne.geom, v.from_fraction)),
+    ST_X(ST_LineInterpolatePoint(ne.geom, v.to_fraction)),
+    ST_Y(ST_LineInterpolatePoint(ne.geom, v.to_fraction))`
+            : '';
+        sql += `
+  UNION ALL
+  SELECT v.id, v.source, v.target,
+    ${piece.cost},
+    ${piece.reverseCost}${coordinates}
+  FROM ${virtualSource(virtual)}${join}`;
+    }
+    return sql;
+}
+
+// Turn restrictions for pgr_trsp and friends. Restrictions are stored
+// against original edge ids, so each is repeated with a virtual piece in
+// place of the edge it was cut from.
+function restrictionsSQL(virtual = []) {
+    const base = 'SELECT id, path, cost FROM public.turn_restrictions';
+    if (!virtual.length) return base;
+    const rows = virtual.map(e => `(${num(e.id)}, ${num(e.edgeId)})`);
+    return `${base}
+  UNION ALL
+  SELECT r.id, array_replace(r.path, v.edge_id::bigint, v.id::bigint), r.cost
+  FROM public.turn_restrictions r
+  JOIN (VALUES ${rows.join(', ')}) AS v(id, edge_id) ON v.edge_id = ANY(r.path)`;
+}
+
+// Edge set with road name, length (km), travel time (minutes) and geometry
+// for joining path rows back, virtual pieces included. Zero-length pieces
+// (a point snapped onto a vertex) cost nothing and are left out. Penalty
+// closures slow travel by their factor.
+function edgeGeometrySQL(virtual = []) {
+    const base = `SELECT ne.id, ne.source, ne.target, ne.name AS road_name, ne.cost AS length_km,
+            ${travelMinutesSQL('ne.cost')} * COALESCE(cl.factor, 1) AS travel_minutes, ne.geom
+        FROM public.network_edges ne
+        ${CLOSURE_JOIN}`;
+    if (!virtual.length) return base;
+    const share = '(v.to_fraction - v.from_fraction)';
+    return `${base}
+        UNION ALL
+        SELECT v.id, v.source, v.target, ne.name, ${share} * ne.cost,
+            ${travelMinutesSQL(`${share} * ne.cost`)} * COALESCE(cl.factor, 1),
+            ST_LineSubstring(ne.geom, v.from_fraction, v.to_fraction)
+        FROM ${virtualSource(virtual)}
+        ${CLOSURE_JOIN}
+        WHERE v.from_fraction < v.to_fraction`;
+}
+
+module.exports = { virtualVertex, virtualEdges, pathEdgeSQL, edgesSQL, restrictionsSQL, edgeGeometrySQL };
@@ -0,0 +1,102 @@
+const { ApiError } = require('./errors');
+
+// Every computed route is kept with the request that produced it, so it
+// can be reloaded by id (shareable links) or run again later.
+
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const HISTORY_TABLE_SQL = `
+    CREATE TABLE IF NOT EXISTS public.route_history (
+        id UUID PRIMARY KEY,
+        kind TEXT NOT NULL,
+        algorithm TEXT NOT NULL,
+        profile TEXT NOT NULL,
+        params JSONB NOT NULL DEFAULT '{}',
+        input JSONB NOT NULL,
+        total_distance DOUBLE PRECISION NOT NULL,
+        travel_time DOUBLE PRECISION NOT NULL,
+        total_cost DOUBLE PRECISION NOT NULL,
+        cost_unit TEXT NOT NULL,
+        edge_count INTEGER NOT NULL,
+        duration_ms DOUBLE PRECISION NOT NULL,
+        response JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS route_history_created_at_idx ON public.route_history (created_at DESC)`;
+
+// Columns listed by GET /routes; the full response is only loaded by id
+const SUMMARY_COLUMNS = `id, kind, algorithm, profile, params, input, total_distance, travel_time,
+    total_cost, cost_unit, edge_count, duration_ms, created_at`;
+
+function describeEntry(row) {
+    return {
+        id: row.id,
+        kind: row.kind,
+        algorithm: row.algorithm,
+        profile: row.profile,
+        params: row.params,
+        input: row.input,
+        totalDistance: Number(row.total_distance),
+        travelTime: Number(row.travel_time),
+        totalCost: Number(row.total_cost),
+        costUnit: row.cost_unit,
+        edgeCount: Number(row.edge_count),
+        durationMs: Number(row.duration_ms),
+        createdAt: row.created_at
+    };
+}
+
+function parseHistoryLimit(value) {
+    if (value == null || value === '') return DEFAULT_HISTORY_LIMIT;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        throw new ApiError(400, `Limit must be an integer from 1 to ${MAX_HISTORY_LIMIT}`);
+    }
+    return limit;
+}
+
+// Store a computed route. `kind` is 'route' or 'via', `input` the points
+// it was requested for and `response` the JSON body sent back.
+async function saveRoute(client, { kind, algorithm, profile, params = {}, input, durationMs, response }) {
+    await client.query(
+        `INSERT INTO public.route_history
+            (id, kind, algorithm, profile, params, input, total_distance, travel_time, total_cost, cost_unit, edge_count, duration_ms, response)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+        [
+            response.routeId, kind, algorithm, profile, JSON.stringify(params), JSON.stringify(input),
+            response.totalDistance, response.travelTime, response.totalCost, response.costUnit, response.edgeCount,
+            durationMs, JSON.stringify(response)
+        ]
+    );
+}
+
+// A stored route: its original response plus the request input
+async function getRoute(client, id) {
+    if (!UUID_PATTERN.test(id)) {
+        throw new ApiError(404, `Route ${id} does not exist`);
+    }
+    const result = await client.query(`SELECT ${SUMMARY_COLUMNS}, response FROM public.route_history WHERE id = $1`, [id]);
+    if (!result.rows.length) {
+        throw new ApiError(404, `Route ${id} does not exist`);
+    }
+    const row = result.rows[0];
+    return { ...row.response, input: row.input, durationMs: Number(row.duration_ms), createdAt: row.created_at };
+}
+
+// Most recent routes first, without geometry
+async function listRoutes(client, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const result = await client.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM public.route_history ORDER BY created_at DESC LIMIT $1`,
+        [limit]
+    );
+    return result.rows.map(describeEntry);
+}
+
+async function startRouteHistory(pool) {
+    await pool.query(HISTORY_TABLE_SQL);
+}
+
+module.exports = { parseHistoryLimit, saveRoute, getRoute, listRoutes, startRouteHistory };
@@ -0,0 +1,93 @@
+const { snapToEdge, describeSnap } = require('./routing');
+const { virtualVertex, virtualEdges, pathEdgeSQL, edgesSQL, edgeGeometrySQL } = require('./graph');
+const { getProfile } = require('./profiles');
+const { ApiError } = require('./errors');
+
+// Largest accepted cost budget and number of bands per request
+const MAX_BUDGET = 50;
+const MAX_BANDS = 5;
+
+// Everything reachable within the largest budget, classified per band.
+// $1 = edges SQL, $2 = start vertex, $3 = largest budget, $4 = budgets,
+// $5 = hull concavity
+function isochroneQuery(virtual) {
+    return `
+        WITH dd AS (
+            SELECT node, edge, agg_cost
+            FROM pgr_drivingDistance($1, $2::bigint, $3::float8, directed := TRUE)
+        ),
+        reach AS (
+            SELECT dd.edge, dd.agg_cost, e.geom
+            FROM dd
+            JOIN (${edgeGeometrySQL(virtual)}) AS e ON dd.edge = e.id
+            WHERE ${pathEdgeSQL('dd.edge')}
+        ),
+        bands AS (
+            SELECT unnest($4::float8[]) AS budget
+        )
+        SELECT b.budget,
+               COUNT(r.edge) AS edge_count,
+               ST_AsGeoJSON(ST_ConcaveHull(ST_Collect(r.geom), $5::float8)) AS polygon,
+               (
+                   SELECT json_agg(json_build_object(
+                       'type', 'Feature',
+                       'id', r2.edge,
+                       'geometry', ST_AsGeoJSON(r2.geom)::json,
+                       'properties', json_build_object('edgeId', r2.edge, 'aggCost', r2.agg_cost, 'band', b.budget)
+                   ))
+                   FROM reach r2
+                   WHERE r2.agg_cost <= b.budget
+                     AND r2.agg_cost > COALESCE((SELECT MAX(p) FROM unnest($4::float8[]) AS p WHERE p < b.budget), -1)
+               ) AS edges
+        FROM bands b
+        LEFT JOIN reach r ON r.agg_cost <= b.budget
+        GROUP BY b.budget
+        ORDER BY b.budget`;
+}
+
+// Validate and sort the requested cost budgets (in the profile's unit)
+function parseBudgets(input) {
+    const list = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_BANDS) {
+        throw new ApiError(400, `Budgets must be a list of 1 to ${MAX_BANDS} costs`);
+    }
+    const budgets = list.map(Number);
+    if (budgets.some(b => !Number.isFinite(b) || b <= 0 || b > MAX_BUDGET)) {
+        throw new ApiError(400, `Each budget must be a number above 0 and at most ${MAX_BUDGET}`);
+    }
+    return [...new Set(budgets)].sort((a, b) => a - b);
+}
+
+// Service area around a [latitude, longitude] point: one concave-hull
+// polygon per budget plus the reachable edges of each band
+async function computeIsochrone(client, point, budgets, { concavity = 0.5, profile = getProfile() } = {}) {
+    const snap = await snapToEdge(client, point, 'Point');
+    const virtual = virtualEdges([snap]);
+    const result = await client.query(isochroneQuery(virtual), [
+        edgesSQL({ virtual, profile }),
+        virtualVertex(0),
+        budgets[budgets.length - 1],
+        budgets,
+        concavity
+    ]);
+
+    const bands = result.rows.map(row => ({
+        type: 'Feature',
+        geometry: row.polygon ? JSON.parse(row.polygon) : null,
+        properties: {
+            budget: Number(row.budget),
+            unit: profile.unit,
+            edgeCount: Number(row.edge_count)
+        }
+    }));
+    const edges = result.rows.flatMap(row => row.edges || []);
+
+    return {
+        snap: describeSnap(snap),
+        unit: profile.unit,
+        bands: { type: 'FeatureCollection', features: bands },
+        edges: { type: 'FeatureCollection', features: edges }
+    };
+}
+
+module.exports = { parseBudgets, computeIsochrone };
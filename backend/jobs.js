@@ -0,0 +1,27 @@
+// Helpers shared by bulk uploads and the background jobs that process
+// them: network builds, batch routing jobs and place imports.
+
+// Rows inserted per statement while storing an upload
+const INSERT_BATCH_SIZE = 2000;
+
+// Call `insert` with consecutive slices of `rows`, one statement each
+async function insertInBatches(rows, insert) {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+        await insert(rows.slice(i, i + INSERT_BATCH_SIZE));
+    }
+}
+
+// Runner that starts each task once the one queued before it has
+// settled. A failed task is logged as `<label> error` and does not stop
+// the queue.
+function serialQueue() {
+    let queue = Promise.resolve();
+    return (label, task) => {
+        queue = queue
+            .then(task)
+            .catch(err => console.error(`${label} error:`, err));
+        return queue;
+    };
+}
+
+module.exports = { insertInBatches, serialQueue };
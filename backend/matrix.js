@@ -0,0 +1,89 @@
+const { edgesSQL } = require('./graph');
+const { getProfile } = require('./profiles');
+const { ApiError } = require('./errors');
+
+// Largest accepted number of origins or destinations per request
+const MAX_LOCATIONS = 100;
+
+// Nearest node for each [latitude, longitude] point, $1 = lats, $2 = lngs
+const SNAP_NODES_SQL = `
+    SELECT p.idx, n.id AS node,
+           ST_DistanceSphere(n.geom, p.geom) AS distance
+    FROM (
+        SELECT idx, ST_SetSRID(ST_MakePoint(lng, lat), 4326) AS geom
+        FROM unnest($1::float8[], $2::float8[]) WITH ORDINALITY AS t(lat, lng, idx)
+    ) AS p
+    CROSS JOIN LATERAL (
+        SELECT id, geom
+        FROM public.network_nodes
+        ORDER BY geom <-> p.geom
+        LIMIT 1
+    ) AS n
+    ORDER BY p.idx`;
+
+// Many-to-many shortest path costs, $1 = edges SQL, $2 = origins, $3 = destinations
+const COST_SQL = `
+    SELECT start_vid, end_vid, agg_cost
+    FROM pgr_dijkstraCost($1, $2::bigint[], $3::bigint[], directed := TRUE)`;
+
+function validateLocations(list, name) {
+    if (!Array.isArray(list) || list.length === 0 || list.length > MAX_LOCATIONS) {
+        throw new ApiError(400, `${name} must be a list of 1 to ${MAX_LOCATIONS} points`);
+    }
+}
+
+// Snap points to network nodes the same way the routing views do
+async function snapPoints(client, points) {
+    const result = await client.query(SNAP_NODES_SQL, [points.map(p => p[0]), points.map(p => p[1])]);
+    return result.rows.map((row, index) => ({
+        index,
+        point: { lat: points[index][0], lng: points[index][1] },
+        node: Number(row.node),
+        snapDistance: Number(row.distance)
+    }));
+}
+
+// Full origin x destination cost matrix in the profile's unit; unreachable
+// pairs are null in the matrix and listed separately
+async function computeCostMatrix(client, origins, destinations, { profile = getProfile() } = {}) {
+    validateLocations(origins, 'Origins');
+    validateLocations(destinations, 'Destinations');
+
+    const from = await snapPoints(client, origins);
+    const to = await snapPoints(client, destinations);
+    const fromNodes = [...new Set(from.map(o => o.node))];
+    const toNodes = [...new Set(to.map(d => d.node))];
+    const result = await client.query(COST_SQL, [edgesSQL({ profile }), fromNodes, toNodes]);
+
+    const costs = new Map();
+    for (const row of result.rows) {
+        costs.set(`${row.start_vid}:${row.end_vid}`, Number(row.agg_cost));
+    }
+
+    const unreachable = [];
+    const matrix = from.map(o => to.map(d => {
+        // pgRouting omits pairs on the same node
+        if (o.node === d.node) return 0;
+        const cost = costs.get(`${o.node}:${d.node}`);
+        if (cost === undefined) {
+            unreachable.push({ origin: o.index, destination: d.index });
+            return null;
+        }
+        return cost;
+    }));
+
+    return { origins: from, destinations: to, unit: profile.unit, matrix, unreachable };
+}
+
+// Matrix as CSV: one row per origin, one column per destination, empty
+// cells for unreachable pairs
+function matrixToCSV({ origins, destinations, matrix }) {
+    const label = p => `"${p.point.lat},${p.point.lng}"`;
+    const lines = [['origin\\destination', ...destinations.map(label)].join(',')];
+    matrix.forEach((row, i) => {
+        lines.push([label(origins[i]), ...row.map(cost => cost === null ? '' : cost)].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { MAX_LOCATIONS, computeCostMatrix, matrixToCSV };
@@ -0,0 +1,71 @@
+const { ApiError } = require('./errors');
+
+// Speed assumed for edges without a known speed_kmh
+const DEFAULT_SPEED_KMH = 40;
+const SPEED_SQL = `COALESCE(NULLIF(ne.speed_kmh, 0), ${DEFAULT_SPEED_KMH})`;
+
+// Road classes treated as major by the avoid-major-roads profile
+const MAJOR_ROAD_CLASSES = ['motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link'];
+
+// Cost profiles. `network_edges.cost` stays the edge length in km; each
+// profile turns it into a routing cost by multiplying with `weight`, an
+// SQL expression over the edge alias `ne`. Negative reverse costs (no
+// travel against the edge) are passed through untouched.
+const profiles = {
+    shortest: {
+        label: 'Shortest distance',
+        description: 'Minimise length in kilometres',
+        unit: 'km',
+        weight: '1'
+    },
+    fastest: {
+        label: 'Fastest',
+        description: `Minimise travel time using the speed of each road class (default ${DEFAULT_SPEED_KMH} km/h)`,
+        unit: 'min',
+        weight: `60.0 / ${SPEED_SQL}`
+    },
+    avoidMajorRoads: {
+        label: 'Avoid major roads',
+        description: 'Shortest distance with motorways, trunk and primary roads counted five times as long',
+        unit: 'km',
+        weight: `CASE WHEN ne.road_class IN (${MAJOR_ROAD_CLASSES.map(c => `'${c}'`).join(', ')}) THEN 5 ELSE 1 END`
+    }
+};
+
+const DEFAULT_PROFILE = 'shortest';
+
+function getProfile(name = DEFAULT_PROFILE) {
+    const profile = Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+    if (!profile) {
+        throw new ApiError(400, `Unknown cost profile '${name}'. Available: ${Object.keys(profiles).join(', ')}`);
+    }
+    return profile;
+}
+
+// Forward and reverse cost expressions for a profile, optionally scaled by
+// `share` (an SQL expression) for partial edges
+function costColumns(profile, share = null) {
+    const scale = share ? `${share} * ` : '';
+    return {
+        cost: `${scale}ne.cost * (${profile.weight})`,
+        reverseCost: `CASE WHEN ne.reverse_cost < 0 THEN ne.reverse_cost ELSE ${scale}ne.reverse_cost * (${profile.weight}) END`
+    };
+}
+
+// Travel time in minutes for a length in km on edge `ne`
+function travelMinutesSQL(lengthSQL) {
+    return `${lengthSQL} / ${SPEED_SQL} * 60`;
+}
+
+// Public description for GET /profiles
+function listProfiles() {
+    return Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        label: profile.label,
+        description: profile.description,
+        unit: profile.unit,
+        default: name === DEFAULT_PROFILE
+    }));
+}
+
+module.exports = { DEFAULT_PROFILE, profiles, getProfile, costColumns, travelMinutesSQL, listProfiles };
@@ -0,0 +1,19 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+
+// `{ error, code }` body and HTTP status for an error: an ApiError keeps its
+// own; anything else comes from the database driver and is logged and
+// reported as a 500 DB_ERROR with `message`
+function errorBody(err, message) {
+    if (err instanceof ApiError) {
+        return { status: err.status, body: { error: err.message, code: err.code } };
+    }
+    console.error(`${message}:`, err);
+    return { status: 500, body: { error: message, code: ERROR_CODES.DB_ERROR } };
+}
+
+function sendError(res, err, message) {
+    const { status, body } = errorBody(err, message);
+    res.status(status).json(body);
+}
+
+module.exports = { errorBody, sendError };
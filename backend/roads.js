@@ -0,0 +1,128 @@
+const { ApiError } = require('./errors');
+const { isPosition } = require('./geojson');
+
+// Turn uploaded GeoJSON or OSM XML into road records for a network build:
+// { name, roadClass, maxspeed, oneway ('F' forward only, 'T' backward
+// only, 'B' both), geometry (GeoJSON LineString or MultiLineString) }
+
+// Parse a maxspeed tag such as "50", "30 mph" or "RU:urban" into km/h
+function parseMaxspeed(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+    const match = String(value).match(/^\s*(\d+(?:\.\d+)?)\s*(mph)?/i);
+    if (!match) return null;
+    const speed = Number(match[1]) * (match[2] ? 1.609 : 1);
+    return speed > 0 ? Math.round(speed) : null;
+}
+
+// Normalise the many spellings of one-way flags to F / T / B
+function parseOneway(value, roadClass) {
+    const flag = value == null ? '' : String(value).toLowerCase();
+    if (['f', 'yes', 'true', '1'].includes(flag)) return 'F';
+    if (['t', '-1', 'reverse'].includes(flag)) return 'T';
+    if (['b', 'no', 'false', '0'].includes(flag)) return 'B';
+    // OSM implies one-way travel on motorways
+    return roadClass === 'motorway' ? 'F' : 'B';
+}
+
+function roadFromProperties(properties, geometry) {
+    const p = properties || {};
+    const roadClass = p.fclass || p.highway || p.road_class || null;
+    return {
+        name: p.name || null,
+        roadClass,
+        maxspeed: parseMaxspeed(p.maxspeed),
+        oneway: parseOneway(p.oneway, roadClass),
+        geometry
+    };
+}
+
+// Line of at least two positions
+function isLine(coordinates) {
+    return Array.isArray(coordinates) && coordinates.length >= 2 && coordinates.every(isPosition);
+}
+
+// Whether a LineString or MultiLineString geometry has usable coordinates
+function hasLineCoordinates({ type, coordinates }) {
+    if (type === 'LineString') return isLine(coordinates);
+    return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isLine);
+}
+
+// Roads from a GeoJSON FeatureCollection (text or already parsed). A line
+// without valid coordinates refuses the upload.
+function roadsFromGeoJSON(input) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (err) {
+            throw new ApiError(400, `Upload is not valid JSON: ${err.message}`);
+        }
+    }
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new ApiError(400, 'GeoJSON upload must be a FeatureCollection');
+    }
+    return data.features
+        .filter(f => f && f.geometry && ['LineString', 'MultiLineString'].includes(f.geometry.type))
+        .map(f => {
+            if (!hasLineCoordinates(f.geometry)) {
+                throw new ApiError(400, `Feature ${data.features.indexOf(f) + 1} needs ${f.geometry.type} coordinates of [longitude, latitude] positions`);
+            }
+            return roadFromProperties(f.properties, f.geometry);
+        });
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXML(value) {
+    return value.replace(/&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()];
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+    });
+}
+
+function attributes(text) {
+    const result = {};
+    for (const match of text.matchAll(/([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        result[match[1]] = decodeXML(match[2] ?? match[3]);
+    }
+    return result;
+}
+
+// Roads from an OSM XML extract: every way tagged `highway`, with its
+// node references resolved to coordinates
+function roadsFromOSM(xml) {
+    if (typeof xml !== 'string' || !/<osm[\s>]/.test(xml)) {
+        throw new ApiError(400, 'OSM upload must be an OSM XML document');
+    }
+    const nodes = new Map();
+    const roads = [];
+    let way = null;
+
+    for (const match of xml.matchAll(/<(\/?)(node|way|nd|tag)\b([^>]*?)\/?>/g)) {
+        const [, closing, element, attrText] = match;
+        if (closing) {
+            if (element === 'way' && way) {
+                const coordinates = way.refs.map(ref => nodes.get(ref)).filter(isPosition);
+                if (way.tags.highway && coordinates.length >= 2) {
+                    roads.push(roadFromProperties(way.tags, { type: 'LineString', coordinates }));
+                }
+                way = null;
+            }
+            continue;
+        }
+        const attrs = attributes(attrText);
+        if (element === 'node') {
+            nodes.set(attrs.id, [Number(attrs.lon), Number(attrs.lat)]);
+        } else if (element === 'way') {
+            way = { refs: [], tags: {} };
+        } else if (element === 'nd' && way) {
+            way.refs.push(attrs.ref);
+        } else if (element === 'tag' && way) {
+            way.tags[attrs.k] = attrs.v;
+        }
+    }
+    return roads;
+}
+
+module.exports = { roadsFromGeoJSON, roadsFromOSM };
@@ -0,0 +1,115 @@
+const express = require('express');
+const { DEFAULT_PROFILE, getProfile } = require('../profiles');
+const { parseBudgets, computeIsochrone } = require('../isochrone');
+const { computeCostMatrix, matrixToCSV } = require('../matrix');
+const { runBenchmark } = require('../benchmark');
+const { validateInput, ISOCHRONE_SCHEMA, MATRIX_SCHEMA, BENCHMARK_SCHEMA } = require('../schema');
+const { ApiError } = require('../errors');
+const { sendError } = require('../responses');
+
+const MATRIX_FORMATS = ['json', 'csv'];
+
+// Service areas, cost matrices and algorithm benchmarks
+function analysisRoutes({ pool }) {
+    const router = express.Router();
+
+    // Shared handler for GET and POST /isochrone; `query` marks query-string input
+    async function handleIsochrone(req, res, input, query) {
+        console.log(input);
+
+        let client;
+        try {
+            const data = validateInput(input, ISOCHRONE_SCHEMA, { query });
+            const budgets = parseBudgets(data.budgets || [2, 5, 10]);
+            const concavity = data.concavity;
+            if (concavity !== undefined && !(concavity > 0 && concavity <= 1)) {
+                throw new ApiError(400, 'Concavity must be a number above 0 and at most 1');
+            }
+            const profileName = data.profile || DEFAULT_PROFILE;
+            const profile = getProfile(profileName);
+
+            client = await pool.connect();
+            const isochrone = await computeIsochrone(client, data.point, budgets, { concavity, profile });
+            res.json({
+                status: 'Success',
+                message: 'Service area has been successfully calculated',
+                profile: profileName,
+                budgets,
+                ...isochrone
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to calculate service area');
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    // Service area endpoint, e.g. POST { point: { lat, lng }, budgets: [2, 5, 10], profile: 'fastest' }
+    // Budgets are in the profile's unit (km or minutes)
+    router.post('/isochrone', (req, res) => handleIsochrone(req, res, req.body || {}, false));
+
+    // Service area endpoint, e.g. GET /isochrone?point=39.93,32.73&budgets=2,5,10
+    router.get('/isochrone', (req, res) => handleIsochrone(req, res, req.query, true));
+
+    // Cost matrix endpoint, e.g. POST { origins: [{ lat, lng }, ...], destinations: [...] }
+    // Add ?format=csv for a CSV download instead of JSON
+    router.post('/matrix', async (req, res) => {
+        let client;
+        try {
+            const data = validateInput(req.body || {}, MATRIX_SCHEMA);
+            const format = req.query.format || data.format || 'json';
+            if (!MATRIX_FORMATS.includes(format)) {
+                throw new ApiError(400, `Unknown matrix format '${format}'. Available: ${MATRIX_FORMATS.join(', ')}`);
+            }
+            const profileName = req.query.profile || data.profile || DEFAULT_PROFILE;
+            const profile = getProfile(profileName);
+
+            client = await pool.connect();
+            const result = await computeCostMatrix(client, data.origins, data.destinations, { profile });
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv');
+                res.set('Content-Disposition', 'attachment; filename="cost-matrix.csv"');
+                return res.send(matrixToCSV(result));
+            }
+            res.json({
+                status: 'Success',
+                message: 'Cost matrix has been successfully calculated',
+                profile: profileName,
+                ...result
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to calculate cost matrix');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Algorithm benchmark on a route or on random node pairs, e.g. POST
+    // { start, end, runs: 5, algorithms: ['dijkstra', { algorithm: 'astar', params: { heuristic: 0 } }] }
+    // or { pairs: 10 }
+    router.post('/benchmark', async (req, res) => {
+        let client;
+        try {
+            const data = validateInput(req.body || {}, BENCHMARK_SCHEMA);
+            const profileName = data.profile || DEFAULT_PROFILE;
+            const profile = getProfile(profileName);
+
+            client = await pool.connect();
+            const benchmark = await runBenchmark(client, { ...data, profile });
+            res.json({
+                status: 'Success',
+                message: 'Benchmark has been completed',
+                profile: profileName,
+                ...benchmark
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to run benchmark');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = analysisRoutes;
@@ -0,0 +1,118 @@
+const express = require('express');
+const {
+    rowsFromJSON, rowsFromCSV, getBatchJob, listBatchJobs, createBatchJob, enqueueBatchJob, resumeBatchJob,
+    batchResultsCSV, batchResultsGeoJSON
+} = require('../batch');
+const { validateAlgorithmInput, BATCH_SCHEMA } = require('../schema');
+const { ApiError } = require('../errors');
+const { sendError } = require('../responses');
+
+const RESULT_FORMATS = ['csv', 'geojson'];
+
+// Batch routing jobs: upload, progress and result downloads
+function batchRoutes({ pool, settings }) {
+    const router = express.Router();
+
+    // Queue a batch job, e.g. POST { algorithm: 'astar', profile: 'fastest', pairs: [{ id: 'a1', start, end }] },
+    // or a text/csv body with the options in the query string:
+    // POST /batch/jobs?algorithm=astar&profile=fastest&name=commutes
+    router.post('/batch/jobs', express.text({ type: 'text/csv', limit: settings.batchUploadLimit }), async (req, res) => {
+        const csv = Boolean(req.is('text/csv'));
+
+        let client;
+        try {
+            const input = csv ? req.query : (req.body || {});
+            const { data, name, params, profileName } = validateAlgorithmInput(input, BATCH_SCHEMA, { query: csv });
+            if (!csv && !data.pairs) {
+                throw new ApiError(400, "'pairs' is required, or send the pairs as text/csv");
+            }
+            const rows = csv ? rowsFromCSV(req.body || '') : rowsFromJSON(data.pairs);
+
+            client = await pool.connect();
+            const job = await createBatchJob(client, rows, { name: data.name, algorithm: name, profile: profileName, params });
+            enqueueBatchJob(pool, job.id);
+            res.status(202).json({
+                status: 'Success',
+                message: `Batch job ${job.id} has been queued`,
+                job
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to store batch job');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // List batch jobs, newest first
+    router.get('/batch/jobs', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            res.json({ jobs: await listBatchJobs(client) });
+        } catch (err) {
+            sendError(res, err, 'Failed to list batch jobs');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Status and progress of one job
+    router.get('/batch/jobs/:id', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            res.json({ job: await getBatchJob(client, Number(req.params.id)) });
+        } catch (err) {
+            sendError(res, err, 'Failed to load batch job');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Continue a failed job with the rows it had not routed yet
+    router.post('/batch/jobs/:id/resume', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            const job = await resumeBatchJob(pool, client, Number(req.params.id));
+            res.status(202).json({ status: 'Success', message: `Batch job ${job.id} has been resumed`, job });
+        } catch (err) {
+            sendError(res, err, 'Failed to resume batch job');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Results so far as a download, e.g. GET /batch/jobs/3/results?format=geojson
+    // (default csv); rows still pending are listed as such
+    router.get('/batch/jobs/:id/results', async (req, res) => {
+        let client;
+        try {
+            const format = req.query.format || 'csv';
+            if (!RESULT_FORMATS.includes(format)) {
+                throw new ApiError(400, `Unknown result format '${format}'. Available: ${RESULT_FORMATS.join(', ')}`);
+            }
+            const id = Number(req.params.id);
+
+            client = await pool.connect();
+            if (format === 'csv') {
+                const body = await batchResultsCSV(client, id);
+                res.set('Content-Type', 'text/csv');
+                res.set('Content-Disposition', `attachment; filename="batch-${id}.csv"`);
+                return res.send(body);
+            }
+            const body = JSON.stringify(await batchResultsGeoJSON(client, id));
+            res.set('Content-Type', 'application/geo+json');
+            res.set('Content-Disposition', `attachment; filename="batch-${id}.geojson"`);
+            res.send(body);
+        } catch (err) {
+            sendError(res, err, 'Failed to export batch results');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = batchRoutes;
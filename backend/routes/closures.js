@@ -0,0 +1,73 @@
+const express = require('express');
+const { parseClosure, getClosure, createClosure, listClosures, expireClosure } = require('../closures');
+const { validateInput, CLOSURE_SCHEMA } = require('../schema');
+const { sendError } = require('../responses');
+
+// Road closures and penalties
+function closureRoutes({ pool }) {
+    const router = express.Router();
+
+    // Closures in force, newest first; ?all=true includes ended and future ones
+    router.get('/closures', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            res.json({ closures: await listClosures(client, { all: req.query.all === 'true' }) });
+        } catch (err) {
+            sendError(res, err, 'Failed to list closures');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Close or slow roads, e.g. POST { kind: 'closed', edges: [12, 13], reason: 'Roadworks' }
+    // or { kind: 'penalty', factor: 3, area: { type: 'Polygon', coordinates: [...] }, endsAt: '2025-06-01T18:00:00Z' }
+    router.post('/closures', async (req, res) => {
+        let client;
+        try {
+            const closure = parseClosure(validateInput(req.body || {}, CLOSURE_SCHEMA));
+
+            client = await pool.connect();
+            res.status(201).json({
+                status: 'Success',
+                message: 'Closure has been created',
+                closure: await createClosure(client, closure)
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to create closure');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // One closure and the edges it covers
+    router.get('/closures/:id', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            res.json({ closure: await getClosure(client, Number(req.params.id)) });
+        } catch (err) {
+            sendError(res, err, 'Failed to load closure');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // End a closure now
+    router.post('/closures/:id/expire', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            const closure = await expireClosure(client, Number(req.params.id));
+            res.json({ status: 'Success', message: `Closure ${closure.id} has ended`, closure });
+        } catch (err) {
+            sendError(res, err, 'Failed to expire closure');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = closureRoutes;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { parseGeocodeLimit, searchPlaces, reverseGeocode, placesFromGeoJSON, importPlaces } = require('../geocode');
+const { validateInput, GEOCODE_SCHEMA, REVERSE_GEOCODE_SCHEMA } = require('../schema');
+const { sendError } = require('../responses');
+
+// Place search, reverse geocoding and place imports
+function geocodeRoutes({ pool, settings }) {
+    const router = express.Router();
+
+    // Place and street search, e.g. GET /geocode?q=kizilay&limit=8
+    router.get('/geocode', async (req, res) => {
+        let client;
+        try {
+            const data = validateInput(req.query, GEOCODE_SCHEMA, { query: true });
+            const limit = parseGeocodeLimit(data.limit);
+
+            client = await pool.connect();
+            res.json({ results: await searchPlaces(client, data.q, { limit }) });
+        } catch (err) {
+            sendError(res, err, 'Failed to search places');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Nearest street and place to a point, e.g. GET /geocode/reverse?point=39.93,32.85
+    router.get('/geocode/reverse', async (req, res) => {
+        let client;
+        try {
+            const data = validateInput(req.query, REVERSE_GEOCODE_SCHEMA, { query: true });
+
+            client = await pool.connect();
+            res.json(await reverseGeocode(client, data.point));
+        } catch (err) {
+            sendError(res, err, 'Failed to look up the address');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Import searchable places from a GeoJSON FeatureCollection of named
+    // points; ?replace=true drops the places stored before
+    router.post('/places', express.text({ type: () => true, limit: settings.networkUploadLimit }), async (req, res) => {
+        let client;
+        try {
+            const places = placesFromGeoJSON(req.body);
+
+            client = await pool.connect();
+            const count = await importPlaces(client, places, { replace: req.query.replace === 'true' });
+            res.json({ status: 'Success', message: `${count} places have been imported`, count });
+        } catch (err) {
+            sendError(res, err, 'Failed to import places');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = geocodeRoutes;
@@ -0,0 +1,37 @@
+const express = require('express');
+const { listAlgorithms } = require('../algorithms');
+const { listProfiles } = require('../profiles');
+const { routeCacheStats } = require('../cache');
+const { sendError } = require('../responses');
+
+// Registered algorithms, cost profiles and route cache statistics
+function infoRoutes({ pool }) {
+    const router = express.Router();
+
+    // List the registered routing algorithms and their parameters
+    router.get('/algorithms', (req, res) => {
+        res.json({ algorithms: listAlgorithms() });
+    });
+
+    // List the edge cost profiles
+    router.get('/profiles', (req, res) => {
+        res.json({ profiles: listProfiles() });
+    });
+
+    // Route cache hit/miss counters and size
+    router.get('/cache/stats', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            res.json({ cache: await routeCacheStats(client) });
+        } catch (err) {
+            sendError(res, err, 'Failed to read route cache statistics');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = infoRoutes;
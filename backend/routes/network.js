@@ -0,0 +1,113 @@
+const express = require('express');
+const { roadsFromGeoJSON, roadsFromOSM } = require('../roads');
+const { parseTolerance, validateNetwork } = require('../validation');
+const { getBuild, listBuilds, createBuild, enqueueBuild, resumeBuild, activateBuild } = require('../builds');
+const { ApiError } = require('../errors');
+const { sendError } = require('../responses');
+
+// Network builds (upload, progress, resume, activation) and topology validation
+function networkRoutes({ pool, settings }) {
+    const router = express.Router();
+
+    // Upload a road network and build a new graph version from it, e.g.
+    // POST /network/builds?format=osm&name=city.osm with the file as the body.
+    // GeoJSON is best sent as application/geo+json; OSM XML as application/xml.
+    router.post('/network/builds', express.text({ type: () => true, limit: settings.networkUploadLimit }), async (req, res) => {
+        const contentType = req.get('Content-Type') || '';
+        const format = req.query.format || (contentType.includes('xml') ? 'osm' : 'geojson');
+
+        let client;
+        try {
+            if (format !== 'geojson' && format !== 'osm') {
+                throw new ApiError(400, `Unknown upload format '${format}'. Available: geojson, osm`);
+            }
+            const roads = format === 'osm' ? roadsFromOSM(req.body) : roadsFromGeoJSON(req.body);
+
+            client = await pool.connect();
+            const build = await createBuild(client, roads, { format, name: req.query.name });
+            enqueueBuild(pool, build.version);
+            res.status(202).json({
+                status: 'Success',
+                message: `Network build ${build.version} has been queued`,
+                build
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to store network upload');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // List network builds, newest first
+    router.get('/network/builds', async (req, res) => {
+        try {
+            const builds = await listBuilds(pool);
+            const active = builds.find(build => build.status === 'active');
+            res.json({ activeVersion: active ? active.version : null, builds });
+        } catch (err) {
+            sendError(res, err, 'Failed to list network builds');
+        }
+    });
+
+    // Status and progress of one build
+    router.get('/network/builds/:version', async (req, res) => {
+        try {
+            res.json({ build: await getBuild(pool, Number(req.params.version)) });
+        } catch (err) {
+            sendError(res, err, 'Failed to load network build');
+        }
+    });
+
+    // Continue a failed build from the step it failed at
+    router.post('/network/builds/:version/resume', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            const build = await resumeBuild(pool, client, Number(req.params.version));
+            res.status(202).json({ status: 'Success', message: `Network build ${build.version} has been resumed`, build });
+        } catch (err) {
+            sendError(res, err, 'Failed to resume network build');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Switch routing back to an earlier build
+    router.post('/network/builds/:version/activate', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            const build = await activateBuild(client, Number(req.params.version));
+            res.json({ status: 'Success', message: `Network build ${build.version} is now active`, build });
+        } catch (err) {
+            sendError(res, err, 'Failed to activate network build');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Topology report for the active graph, e.g. GET /network/validation?tolerance=2
+    // (near-miss distance in metres)
+    router.get('/network/validation', async (req, res) => {
+        let client;
+        try {
+            const tolerance = parseTolerance(req.query.tolerance);
+
+            client = await pool.connect();
+            const report = await validateNetwork(client, { tolerance });
+            res.json({
+                status: 'Success',
+                message: 'Network has been validated',
+                ...report
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to validate network');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = networkRoutes;
@@ -0,0 +1,233 @@
+const express = require('express');
+const { getAlgorithm, resolveParams } = require('../algorithms');
+const { DEFAULT_PROFILE, getProfile } = require('../profiles');
+const { computeRoute, computeViaRoute } = require('../routing');
+const { getExportFormat, sendExport } = require('../export');
+const { saveRoute, getRoute, listRoutes, parseHistoryLimit } = require('../history');
+const { validateInput, paramsSchema, validateAlgorithmInput, ROUTE_SCHEMA, ROUTE_STREAM_SCHEMA, VIA_SCHEMA } = require('../schema');
+const { errorBody, sendError } = require('../responses');
+
+// [latitude, longitude] back to the { lat, lng } form requests use
+function toLatLng([lat, lng]) {
+    return { lat, lng };
+}
+
+// Save a computed route to the history and return the response to send
+async function saveComputedRoute(client, { name, profileName, params, start, end, route, durationMs }) {
+    const response = { algorithm: name, profile: profileName, params, ...route, durationMs };
+    await saveRoute(client, {
+        kind: 'route',
+        algorithm: name,
+        profile: profileName,
+        params,
+        input: { start: toLatLng(start), end: toLatLng(end) },
+        durationMs,
+        response
+    });
+    return response;
+}
+
+// Thrown from a stage callback to stop a run whose stream was closed
+const STREAM_CLOSED = new Error('Route stream closed by the client');
+
+// One server-sent event
+function sendEvent(res, event, data) {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Route calculation and saved routes
+function routingRoutes({ pool }) {
+    const router = express.Router();
+
+    // Shared handler for GET and POST /route; `query` marks query-string input
+    async function handleRoute(req, res, input, query) {
+        console.log(input);
+
+        let client;
+        try {
+            const { data, name, algorithm, params, profileName, profile } = validateAlgorithmInput(input, ROUTE_SCHEMA, { query });
+            const format = getExportFormat(req.query.format || data.format);
+
+            client = await pool.connect();
+            const started = performance.now();
+            const { cache, ...route } = await computeRoute(client, algorithm, params, data.start, data.end, {
+                profile,
+                cache: { algorithm: name, profile: profileName }
+            });
+            const durationMs = performance.now() - started;
+            if (format) {
+                return sendExport(res, format, route, `${algorithm.label} route`);
+            }
+            // Downloads repeat a shown route, so only JSON responses are saved
+            const response = await saveComputedRoute(client, {
+                name, profileName, params, start: data.start, end: data.end, route, durationMs
+            });
+            res.json({
+                status: 'Success',
+                message: 'Route has been successfully calculated',
+                ...response,
+                cache
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to calculate route');
+        } finally {
+            if (client) client.release();
+        }
+    }
+
+    // Route endpoint, e.g. POST { start, end, algorithm: 'astar', profile: 'fastest', params: { heuristic: 4 } }
+    router.post('/route', (req, res) => handleRoute(req, res, req.body || {}, false));
+
+    // Route endpoint, e.g. GET /route?algorithm=astar&start=39.9,32.7&end=39.95,32.8&heuristic=4
+    // Add ?format=gpx, kml or geojson to either form for a file download
+    router.get('/route', (req, res) => handleRoute(req, res, req.query, true));
+
+    // Several algorithms at once as server-sent events, e.g.
+    // GET /route/stream?start=39.9,32.7&end=39.95,32.8&algorithms=dijkstra,astar,ksp&k=3&profile=fastest
+    // Each algorithm runs on its own connection and reports `stage` events
+    // ({ algorithm, stage }: snapping, routing), then its /route response as
+    // a `route` event or its error as `failed` ({ algorithm, error, code }).
+    // `done` ({ routeIds }) closes the stream. EventSource cannot read an
+    // error response, so invalid input is sent as a `failed` event without
+    // an algorithm, followed by `done`. Once the client goes away,
+    // runs stop at their next stage and nothing more is routed or saved.
+    router.get('/route/stream', async (req, res) => {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        res.flushHeaders();
+        let aborted = false;
+        res.on('close', () => {
+            aborted = true;
+        });
+        const send = (event, payload) => {
+            if (!aborted) sendEvent(res, event, payload);
+        };
+
+        let data;
+        let profileName;
+        let profile;
+        let runs;
+        try {
+            data = validateInput(req.query, ROUTE_STREAM_SCHEMA, { query: true });
+            profileName = data.profile || DEFAULT_PROFILE;
+            profile = getProfile(profileName);
+            runs = [...new Set(data.algorithms || ['dijkstra'])].map(name => {
+                const algorithm = getAlgorithm(name);
+                const params = resolveParams(algorithm, validateInput(req.query, paramsSchema(algorithm), { query: true }));
+                return { name, algorithm, params };
+            });
+        } catch (err) {
+            send('failed', errorBody(err, 'Failed to calculate route').body);
+            send('done', { routeIds: [] });
+            return res.end();
+        }
+
+        const routeIds = [];
+        await Promise.all(runs.map(async ({ name, algorithm, params }, index) => {
+            let client;
+            try {
+                if (aborted) return;
+                client = await pool.connect();
+                const started = performance.now();
+                const { cache, ...route } = await computeRoute(client, algorithm, params, data.start, data.end, {
+                    profile,
+                    cache: { algorithm: name, profile: profileName },
+                    onStage: stage => {
+                        if (aborted) throw STREAM_CLOSED;
+                        send('stage', { algorithm: name, stage });
+                    }
+                });
+                if (aborted) return;
+                const durationMs = performance.now() - started;
+                const response = await saveComputedRoute(client, {
+                    name, profileName, params, start: data.start, end: data.end, route, durationMs
+                });
+                routeIds[index] = response.routeId;
+                send('route', { ...response, cache });
+            } catch (err) {
+                if (aborted) return;
+                send('failed', { algorithm: name, ...errorBody(err, 'Failed to calculate route').body });
+            } finally {
+                if (client) client.release();
+            }
+        }));
+        send('done', { routeIds: routeIds.filter(Boolean) });
+        res.end();
+    });
+
+    // Multi-stop route, e.g. POST { points: [start, ...waypoints, end], optimize: true, profile: 'fastest' }
+    // Add ?format=gpx, kml or geojson for a file download
+    router.post('/route/via', async (req, res) => {
+        console.log(req.body);
+
+        let client;
+        try {
+            const data = validateInput(req.body || {}, VIA_SCHEMA);
+            const profileName = data.profile || DEFAULT_PROFILE;
+            const profile = getProfile(profileName);
+            const format = getExportFormat(req.query.format || data.format);
+
+            client = await pool.connect();
+            const started = performance.now();
+            const route = await computeViaRoute(client, data.points, { optimize: Boolean(data.optimize), profile });
+            const durationMs = performance.now() - started;
+            if (format) {
+                return sendExport(res, format, route, 'Multi-stop route');
+            }
+            const response = { algorithm: 'dijkstraVia', profile: profileName, ...route, durationMs };
+            await saveRoute(client, {
+                kind: 'via',
+                algorithm: 'dijkstraVia',
+                profile: profileName,
+                input: { points: data.points.map(toLatLng), optimize: Boolean(data.optimize) },
+                durationMs,
+                response
+            });
+            res.json({
+                status: 'Success',
+                message: 'Multi-stop route has been successfully calculated',
+                ...response
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to calculate multi-stop route');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // Saved routes, newest first, e.g. GET /routes?limit=20
+    router.get('/routes', async (req, res) => {
+        let client;
+        try {
+            const limit = parseHistoryLimit(req.query.limit);
+
+            client = await pool.connect();
+            res.json({ routes: await listRoutes(client, { limit }) });
+        } catch (err) {
+            sendError(res, err, 'Failed to list saved routes');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    // A saved route as originally returned, plus the `input` it was requested for
+    router.get('/routes/:id', async (req, res) => {
+        let client;
+        try {
+            client = await pool.connect();
+            const route = await getRoute(client, req.params.id);
+            res.json({
+                status: 'Success',
+                message: 'Route has been loaded',
+                ...route
+            });
+        } catch (err) {
+            sendError(res, err, 'Failed to load route');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = routingRoutes;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { getProfile } = require('../profiles');
+const { parseTile, networkTile } = require('../tiles');
+const { sendError } = require('../responses');
+
+// Browsers may reuse a tile this long; a rebuilt network shows up after it
+const TILE_MAX_AGE_SECONDS = 60;
+
+// Vector tiles of the road network
+function tileRoutes({ pool }) {
+    const router = express.Router();
+
+    // Road network tile, e.g. GET /tiles/network/14/9628/6221.mvt?profile=fastest
+    router.get('/tiles/network/:z/:x/:y.mvt', async (req, res) => {
+        let client;
+        try {
+            const tile = parseTile(req.params);
+            const profile = getProfile(req.query.profile || undefined);
+
+            client = await pool.connect();
+            const data = await networkTile(client, tile, { profile });
+            res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+            res.set('Cache-Control', `public, max-age=${TILE_MAX_AGE_SECONDS}`);
+            res.send(data);
+        } catch (err) {
+            sendError(res, err, 'Failed to render network tile');
+        } finally {
+            if (client) client.release();
+        }
+    });
+
+    return router;
+}
+
+module.exports = tileRoutes;
@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { routeFeatureCollection } = require('./geojson');
+const { virtualVertex, virtualEdges, pathEdgeSQL, edgesSQL, restrictionsSQL, edgeGeometrySQL } = require('./graph');
+const { buildDirections } = require('./directions');
+const { getProfile } = require('./profiles');
+const { graphVersion, routeCacheKey, routeCacheEnabled, getCachedRoute, cacheRoute, routeCacheCounts } = require('./cache');
+const { CLOSED_EDGES_SQL, activeClosureIds, closuresOnEdges } = require('./closures');
+const { ApiError, ERROR_CODES } = require('./errors');
+const { snapToleranceMeters: SNAP_TOLERANCE_METERS } = require('./config');
+
+// Merge path geometries into a single LineString, $1 = GeoJSON geometries
+const MERGED_PATH_SQL = `
+    SELECT ST_AsGeoJSON(ST_LineMerge(ST_Collect(ST_GeomFromGeoJSON(g)))) AS geometry
+    FROM unnest($1::text[]) AS g`;
+
+// Closest position along the nearest open edge, $1 = latitude,
+// $2 = longitude
+const SNAP_SQL = `
+    WITH p AS (SELECT ST_SetSRID(ST_MakePoint($2, $1), 4326) AS geom),
+    nearest AS (
+        SELECT e.id, e.source, e.target, e.geom
+        FROM public.network_edges e, p
+        WHERE e.id NOT IN (SELECT edge_id FROM (${CLOSED_EDGES_SQL}) AS cl WHERE cl.closed)
+        ORDER BY e.geom <-> p.geom
+        LIMIT 1
+    )
+    SELECT n.id, n.source, n.target,
+           ST_LineLocatePoint(n.geom, p.geom) AS fraction,
+           ST_DistanceSphere(ST_ClosestPoint(n.geom, p.geom), p.geom) AS distance,
+           ST_X(ST_ClosestPoint(n.geom, p.geom)) AS x,
+           ST_Y(ST_ClosestPoint(n.geom, p.geom)) AS y
+    FROM nearest n
+    CROSS JOIN p`;
+
+// Turn restrictions touching any of the given edges, $1 = edge ids
+const RESTRICTIONS_ON_EDGES_SQL = `
+    SELECT id, path
+    FROM public.turn_restrictions
+    WHERE path && $1::bigint[]`;
+
+// Snap a [latitude, longitude] point to the nearest network node
+async function snapToNode(client, point) {
+    const result = await client.query(
+        'SELECT id FROM public.network_nodes ORDER BY geom <-> ST_SetSRID(ST_MakePoint($2, $1), 4326) LIMIT 1',
+        [point[0], point[1]]
+    );
+    return result.rows.length ? Number(result.rows[0].id) : null;
+}
+
+// Snap a [latitude, longitude] point onto the closest position along an
+// edge, refusing it when no road lies within the tolerance
+async function snapToEdge(client, point, label = 'Point') {
+    const result = await client.query(SNAP_SQL, [point[0], point[1]]);
+    if (!result.rows.length) {
+        throw new ApiError(422, 'The road network is empty', ERROR_CODES.SNAP_TOO_FAR);
+    }
+    const row = result.rows[0];
+    const snap = {
+        edgeId: Number(row.id),
+        source: Number(row.source),
+        target: Number(row.target),
+        fraction: Number(row.fraction),
+        distance: Number(row.distance),
+        x: Number(row.x),
+        y: Number(row.y)
+    };
+    if (snap.distance > SNAP_TOLERANCE_METERS) {
+        throw new ApiError(422, `${label} is ${Math.round(snap.distance)} m from the nearest road (tolerance ${SNAP_TOLERANCE_METERS} m)`, ERROR_CODES.SNAP_TOO_FAR);
+    }
+    return snap;
+}
+
+// Network vertex a snap lands on, when it falls on either end of its edge
+function snapVertex(snap) {
+    if (snap.fraction === 0) return snap.source;
+    if (snap.fraction === 1) return snap.target;
+    return null;
+}
+
+// Whether two snaps land on the same spot, leaving nothing to route. Two
+// edges meeting at a vertex both reach it, at fraction 1 on one and 0 on
+// the other.
+function samePosition(a, b) {
+    if (a.edgeId === b.edgeId && a.fraction === b.fraction) return true;
+    const vertex = snapVertex(a);
+    return vertex !== null && vertex === snapVertex(b);
+}
+
+// What the API reports about a snapped point
+function describeSnap(snap) {
+    return {
+        edgeId: snap.edgeId,
+        fraction: snap.fraction,
+        distance: snap.distance,
+        point: { lat: snap.y, lng: snap.x }
+    };
+}
+
+// Join a path query's rows back onto the edges, virtual pieces included
+function pathQuery(pathSQL, virtual) {
+    return `
+        SELECT path.path_id, path.seq, path.agg_cost + path.cost AS agg_cost,
+               path.node, e.id, e.source, e.target, e.road_name, path.cost, e.length_km, e.travel_minutes,
+               ST_AsGeoJSON(e.geom) AS geometry
+        FROM (${pathSQL}) AS path
+        JOIN (${edgeGeometrySQL(virtual)}) AS e ON path.edge = e.id
+        WHERE ${pathEdgeSQL('path.edge')}
+        ORDER BY path.path_id, path.seq`;
+}
+
+// Sum a numeric column over path rows
+function total(rows, column) {
+    return rows.reduce((sum, row) => sum + Number(row[column]), 0);
+}
+
+// Summarise one path's ordered rows, including its merged geometry.
+// totalCost is in the cost profile's unit; distance is always km and
+// travel time minutes.
+async function buildPath(client, pathId, rows) {
+    const edges = rows.map(row => Number(row.id));
+    const merged = rows.length ? await client.query(MERGED_PATH_SQL, [rows.map(row => row.geometry)]) : null;
+    return {
+        pathId,
+        edges,
+        edgeCount: rows.length,
+        totalDistance: total(rows, 'length_km'),
+        travelTime: total(rows, 'travel_minutes'),
+        totalCost: total(rows, 'cost'),
+        directions: buildDirections(rows),
+        route: routeFeatureCollection(rows, merged && merged.rows[0].geometry)
+    };
+}
+
+// Path rows grouped and summarised per path_id
+async function buildPaths(client, rows) {
+    const grouped = new Map();
+    for (const row of rows) {
+        const pathId = Number(row.path_id);
+        if (!grouped.has(pathId)) grouped.set(pathId, []);
+        grouped.get(pathId).push(row);
+    }
+    const paths = [];
+    for (const [pathId, pathRows] of grouped) {
+        paths.push(await buildPath(client, pathId, pathRows));
+    }
+    return paths;
+}
+
+// Edge ids with virtual pieces replaced by the edge they were cut from
+function originalEdges(edges, virtual) {
+    const original = new Map(virtual.map(e => [e.id, e.edgeId]));
+    return edges.map(edge => original.get(edge) ?? edge);
+}
+
+// Ids of the turn restrictions whose edge sequence appears in any of the
+// paths. Virtual pieces count as the edge they were cut from.
+async function violatedRestrictions(client, paths, virtual) {
+    const sequences = paths.map(path => originalEdges(path.edges, virtual));
+    const edgeIds = [...new Set(sequences.flat())];
+    if (!edgeIds.length) return [];
+
+    const result = await client.query(RESTRICTIONS_ON_EDGES_SQL, [edgeIds]);
+    const contains = (sequence, restriction) => sequence.some((edge, i) =>
+        restriction.every((restricted, j) => sequence[i + j] === restricted));
+    return result.rows
+        .filter(row => sequences.some(sequence => contains(sequence, row.path.map(Number))))
+        .map(row => Number(row.id));
+}
+
+// How road closures shaped a route, given its edges and those of the same
+// route computed without closures: `avoided` closures lie on the latter
+// only, `penalised` ones on the route itself
+async function closureEffects(client, edges, plainEdges, virtual) {
+    const onRoute = await closuresOnEdges(client, originalEdges(edges, virtual));
+    const onPlain = await closuresOnEdges(client, originalEdges(plainEdges, virtual));
+    return {
+        changedPath: edges.join(',') !== plainEdges.join(','),
+        avoided: onPlain.filter(id => !onRoute.includes(id)),
+        penalised: onRoute
+    };
+}
+
+const NO_CLOSURES = { changedPath: false, avoided: [], penalised: [] };
+
+// Order alternatives by cost and describe each relative to the best one
+function rankPaths(paths) {
+    paths.sort((a, b) => a.totalCost - b.totalCost);
+    const best = paths[0];
+    const bestEdges = best ? new Set(best.edges) : new Set();
+    paths.forEach((path, index) => {
+        path.rank = index + 1;
+        path.deltaDistance = path.totalDistance - best.totalDistance;
+        path.deltaCost = path.totalCost - best.totalCost;
+        path.sharedWithBest = path.edgeCount
+            ? path.edges.filter(edge => bestEdges.has(edge)).length / path.edgeCount
+            : 0;
+    });
+    return paths;
+}
+
+// Paths between two snapped points, with the best one's details at the
+// top level. This is the part of a route that can be cached.
+// `closureIds` are the active closures; while there are any, the path is
+// also computed without them to report their effect.
+async function findRoute(client, algorithm, params, snaps, profile, closureIds = []) {
+    const virtual = virtualEdges(snaps);
+    const sql = edgesSQL({ withCoordinates: algorithm.withCoordinates, virtual, profile });
+    const vertices = [virtualVertex(0), virtualVertex(1)];
+    const result = await client.query(pathQuery(algorithm.pathSQL(params), virtual), [sql, ...vertices, ...Object.values(params)]);
+    let paths = await buildPaths(client, result.rows);
+
+    const avoided = await violatedRestrictions(client, paths, virtual);
+    if (avoided.length) {
+        const restricted = await client.query(
+            pathQuery(algorithm.restrictedPathSQL(params), virtual),
+            [sql, ...vertices, restrictionsSQL(virtual)]
+        );
+        paths = await buildPaths(client, restricted.rows);
+    }
+    if (!paths.length) {
+        throw new ApiError(422, 'No route connects the start and end points; they lie in disconnected parts of the network', ERROR_CODES.NO_PATH);
+    }
+    rankPaths(paths);
+
+    const best = paths[0];
+    let closures = NO_CLOSURES;
+    if (closureIds.length) {
+        const plainSQL = edgesSQL({ withCoordinates: algorithm.withCoordinates, virtual, profile, closures: false });
+        const plain = await client.query(
+            `SELECT edge FROM (${algorithm.pathSQL(params)}) AS path WHERE path_id = 1 AND ${pathEdgeSQL('edge')} ORDER BY seq`,
+            [plainSQL, ...vertices, ...Object.values(params)]
+        );
+        closures = await closureEffects(client, best.edges, plain.rows.map(row => Number(row.edge)), virtual);
+    }
+    return {
+        edges: best.edges,
+        edgeCount: best.edgeCount,
+        totalDistance: best.totalDistance,
+        travelTime: best.travelTime,
+        totalCost: best.totalCost,
+        costUnit: profile.unit,
+        turnRestrictions: { changedPath: avoided.length > 0, avoided },
+        closures,
+        directions: best.directions,
+        route: best.route,
+        paths
+    };
+}
+
+// Compute a route for one request without touching any shared table, so
+// concurrent requests cannot overwrite each other. Start and end are
+// snapped onto their nearest edges, so the partial edge costs are part of
+// the total. The first path is reported at the top level; multi-path
+// algorithms list all in `paths`.
+//
+// The network is directed, so one-way edges (negative reverse_cost) are
+// honoured by every algorithm. Turn restrictions are checked afterwards:
+// when the plain path runs through one, the route is recomputed with the
+// algorithm's restricted variant and `turnRestrictions` lists what was
+// avoided. Active road closures are left out of the graph or penalised,
+// and `closures` lists the ones the route avoided or still runs through.
+// When no path exists a NO_PATH error is thrown rather than an empty
+// route.
+//
+// With `cache` set to the algorithm and profile names, the paths are
+// looked up in and stored to the route cache; a hit skips the routing
+// query and `cache` in the response tells which happened. `onStage` is
+// told when snapping and routing begin.
+async function computeRoute(client, algorithm, params, start, end, { profile = getProfile(), cache = null, onStage = () => {} } = {}) {
+    onStage('snapping');
+    const snaps = [
+        await snapToEdge(client, start, 'Start point'),
+        await snapToEdge(client, end, 'End point')
+    ];
+    if (samePosition(snaps[0], snaps[1])) {
+        throw new ApiError(400, 'Start and end points snap to the same position on the network');
+    }
+    const head = {
+        routeId: crypto.randomUUID(),
+        snap: { start: describeSnap(snaps[0]), end: describeSnap(snaps[1]) }
+    };
+    onStage('routing');
+    const closureIds = await activeClosureIds(client);
+    if (!cache || !routeCacheEnabled()) {
+        return { ...head, ...await findRoute(client, algorithm, params, snaps, profile, closureIds) };
+    }
+
+    const version = await graphVersion(client);
+    const key = routeCacheKey({ version, algorithm: cache.algorithm, profile: cache.profile, params, snaps, closureIds });
+    const cached = await getCachedRoute(client, key);
+    let route = cached && cached.route;
+    if (!route) {
+        route = await findRoute(client, algorithm, params, snaps, profile, closureIds);
+        await cacheRoute(client, key, version, route);
+    }
+    return {
+        ...head,
+        ...route,
+        cache: { hit: Boolean(cached), source: cached ? cached.source : null, ...routeCacheCounts() }
+    };
+}
+
+// Visit the vertices in order, $1 = edges SQL, $2 = vertex ids and, when
+// restricted, $3 = restrictions SQL
+function viaPathQuery(virtual, restricted = false) {
+    const via = restricted
+        ? 'pgr_trspVia($1, $3, $2::bigint[], directed := TRUE)'
+        : 'pgr_dijkstraVia($1, $2::bigint[], directed := TRUE)';
+    return `
+        SELECT path.path_id, path.seq, SUM(path.cost) OVER (ORDER BY path.seq) AS agg_cost,
+               path.node, e.id, e.source, e.target, e.road_name, path.cost, e.length_km, e.travel_minutes,
+               ST_AsGeoJSON(e.geom) AS geometry
+        FROM ${via} AS path
+        JOIN (${edgeGeometrySQL(virtual)}) AS e ON path.edge = e.id
+        WHERE ${pathEdgeSQL('path.edge')}
+        ORDER BY path.seq`;
+}
+
+// Best visiting order from the first to the last vertex. pgr_TSP returns
+// a closed tour ending back at start_id; end_id is the last vertex visited
+// before that, so dropping the final row leaves the open trip.
+async function optimizeOrder(client, sql, vertices) {
+    const matrixSQL = `SELECT * FROM pgr_dijkstraCostMatrix(${client.escapeLiteral(sql)}, ARRAY[${vertices.join(',')}]::bigint[], directed := TRUE)`;
+    const result = await client.query(
+        'SELECT seq, node FROM pgr_TSP($1, start_id := $2::bigint, end_id := $3::bigint) ORDER BY seq',
+        [matrixSQL, vertices[0], vertices[vertices.length - 1]]
+    );
+    return result.rows.slice(0, -1).map(row => Number(row.node));
+}
+
+// Route through every point in order, optionally reordering the
+// intermediate stops to minimise total cost. The first and last points
+// stay fixed. Every point is snapped onto its nearest edge. Turn
+// restrictions and closures are handled as in computeRoute, via
+// pgr_trspVia.
+async function computeViaRoute(client, points, { optimize = false, profile = getProfile() } = {}) {
+    const labelOf = index => (index === 0 ? 'Start point' : (index === points.length - 1 ? 'End point' : `Stop ${index}`));
+    const snaps = [];
+    for (const [index, point] of points.entries()) {
+        snaps.push(await snapToEdge(client, point, labelOf(index)));
+    }
+    const virtual = virtualEdges(snaps);
+    const sql = edgesSQL({ virtual, profile });
+
+    // Indices into `points`, in visiting order
+    let order = points.map((point, index) => index);
+    if (optimize && points.length > 3) {
+        const tour = await optimizeOrder(client, sql, order.map(virtualVertex));
+        order = tour.map(vertex => -vertex - 1);
+    }
+
+    const via = order.map(virtualVertex);
+    let result = await client.query(viaPathQuery(virtual), [sql, via]);
+    let path = await buildPath(client, 1, result.rows);
+
+    const avoided = await violatedRestrictions(client, [path], virtual);
+    if (avoided.length) {
+        result = await client.query(viaPathQuery(virtual, true), [sql, via, restrictionsSQL(virtual)]);
+        path = await buildPath(client, 1, result.rows);
+    }
+
+    let closures = NO_CLOSURES;
+    if ((await activeClosureIds(client)).length) {
+        const plain = await client.query(
+            `SELECT edge FROM pgr_dijkstraVia($1, $2::bigint[], directed := TRUE) WHERE ${pathEdgeSQL('edge')} ORDER BY seq`,
+            [edgesSQL({ virtual, profile, closures: false }), via]
+        );
+        closures = await closureEffects(client, path.edges, plain.rows.map(row => Number(row.edge)), virtual);
+    }
+
+    const legs = [];
+    for (const row of result.rows) {
+        const legIndex = Number(row.path_id) - 1;
+        if (!legs[legIndex]) {
+            legs[legIndex] = { leg: legIndex + 1, from: order[legIndex], to: order[legIndex + 1], edgeCount: 0, distance: 0, travelTime: 0, cost: 0 };
+        }
+        legs[legIndex].edgeCount += 1;
+        legs[legIndex].distance += Number(row.length_km);
+        legs[legIndex].travelTime += Number(row.travel_minutes);
+        legs[legIndex].cost += Number(row.cost);
+    }
+
+    // Unreachable legs are skipped by the via functions; consecutive
+    // points at the same spot legitimately have no edges
+    for (let i = 0; i < order.length - 1; i++) {
+        if (!legs[i] && !samePosition(snaps[order[i]], snaps[order[i + 1]])) {
+            throw new ApiError(422, `No route connects ${labelOf(order[i])} to ${labelOf(order[i + 1])}`, ERROR_CODES.NO_PATH);
+        }
+    }
+
+    return {
+        routeId: crypto.randomUUID(),
+        snap: snaps.map(describeSnap),
+        order,
+        optimized: optimize && order.some((pointIndex, i) => pointIndex !== i),
+        legs: legs.filter(Boolean),
+        edges: path.edges,
+        edgeCount: path.edgeCount,
+        totalDistance: path.totalDistance,
+        travelTime: path.travelTime,
+        totalCost: path.totalCost,
+        costUnit: profile.unit,
+        turnRestrictions: { changedPath: avoided.length > 0, avoided },
+        closures,
+        directions: path.directions,
+        route: path.route
+    };
+}
+
+module.exports = { SNAP_TOLERANCE_METERS, snapToNode, snapToEdge, describeSnap, rankPaths, computeRoute, computeViaRoute };
@@ -0,0 +1,218 @@
+const { ApiError, ERROR_CODES } = require('./errors');
+const { getAlgorithm, resolveParams } = require('./algorithms');
+const { DEFAULT_PROFILE, getProfile } = require('./profiles');
+
+// Request schemas. Each field has a type and may be required. JSON bodies
+// are checked strictly: values must already have the right JSON type and
+// unknown fields are refused. Query strings carry text only, so there
+// numbers and booleans are parsed and unknown fields are ignored.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Number written as text, NaN unless the whole string is numeric
+function parseNumber(text) {
+    return typeof text === 'string' && text.trim() !== '' ? Number(text) : NaN;
+}
+
+// Parse a point given as { lat, lng }, [lat, lng] or "lat,lng" into
+// [latitude, longitude], refusing anything that is not two finite
+// numbers inside the WGS84 range
+function parsePoint(value, name = 'point') {
+    let lat;
+    let lng;
+    if (typeof value === 'string') {
+        const parts = value.split(',');
+        if (parts.length === 2) [lat, lng] = parts.map(parseNumber);
+    } else if (Array.isArray(value)) {
+        if (value.length === 2) [lat, lng] = value;
+    } else if (isPlainObject(value) && Object.keys(value).every(key => key === 'lat' || key === 'lng')) {
+        ({ lat, lng } = value);
+    }
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        throw new ApiError(400, `'${name}' must be a point { lat, lng } with numeric coordinates`);
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw new ApiError(400, `'${name}' (${lat}, ${lng}) is outside latitude -90..90 / longitude -180..180`, ERROR_CODES.OUT_OF_BOUNDS);
+    }
+    return [lat, lng];
+}
+
+// Check one value against its field spec, returning the parsed value
+const types = {
+    point: (value, name) => parsePoint(value, name),
+    points: (value, name, spec) => {
+        if (!Array.isArray(value) || value.length < (spec.min || 0)) {
+            throw new ApiError(400, `'${name}' must be an array of at least ${spec.min || 0} points { lat, lng }`);
+        }
+        return value.map((point, index) => parsePoint(point, `${name}[${index}]`));
+    },
+    string: (value, name) => {
+        if (typeof value !== 'string') throw new ApiError(400, `'${name}' must be a string`);
+        return value;
+    },
+    number: (value, name, spec, query) => {
+        const number = query ? parseNumber(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) throw new ApiError(400, `'${name}' must be a number`);
+        return number;
+    },
+    boolean: (value, name, spec, query) => {
+        if (query && (value === 'true' || value === 'false')) return value === 'true';
+        if (typeof value !== 'boolean') throw new ApiError(400, `'${name}' must be true or false`);
+        return value;
+    },
+    // Array, or comma-separated text in a query string
+    list: (value, name, spec, query) => {
+        if (query && typeof value === 'string') return value.split(',');
+        if (!Array.isArray(value)) throw new ApiError(400, `'${name}' must be an array`);
+        return value;
+    },
+    object: (value, name) => {
+        if (!isPlainObject(value)) throw new ApiError(400, `'${name}' must be an object`);
+        return value;
+    }
+};
+
+// Validate `input` against `schema`, returning the parsed fields that were
+// given. `query` selects query-string parsing; `name` prefixes nested
+// field names in messages.
+function validateInput(input, schema, { query = false, name = null } = {}) {
+    const label = field => (name ? `${name}.${field}` : field);
+    if (!isPlainObject(input)) {
+        throw new ApiError(400, name ? `'${name}' must be an object` : 'Request body must be a JSON object');
+    }
+    if (!query) {
+        const unknown = Object.keys(input).filter(field => !Object.prototype.hasOwnProperty.call(schema, field));
+        if (unknown.length) {
+            throw new ApiError(400, `Unknown field${unknown.length > 1 ? 's' : ''} ${unknown.map(field => `'${label(field)}'`).join(', ')}`);
+        }
+    }
+    const parsed = {};
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = input[field];
+        if (value == null || (query && value === '')) {
+            if (spec.required) throw new ApiError(400, `'${label(field)}' is required`);
+            continue;
+        }
+        parsed[field] = types[spec.type](value, label(field), spec, query);
+    }
+    return parsed;
+}
+
+// Schema for an algorithm's numeric params
+function paramsSchema(algorithm) {
+    return Object.fromEntries(Object.keys(algorithm.params).map(param => [param, { type: 'number' }]));
+}
+
+// Validate a request that names an algorithm (default dijkstra) and a cost
+// profile against `schema` plus the algorithm's params. Params may be
+// nested under `params` or given at the top level.
+function validateAlgorithmInput(input, schema, { query = false } = {}) {
+    const name = (input && input.algorithm) || 'dijkstra';
+    const algorithm = getAlgorithm(name);
+    const data = validateInput(input, { ...schema, ...paramsSchema(algorithm) }, { query });
+    const params = resolveParams(algorithm, data.params
+        ? validateInput(data.params, paramsSchema(algorithm), { query, name: 'params' })
+        : data);
+    const profileName = data.profile || DEFAULT_PROFILE;
+    return { data, name, algorithm, params, profileName, profile: getProfile(profileName) };
+}
+
+const ROUTE_SCHEMA = {
+    start: { type: 'point', required: true },
+    end: { type: 'point', required: true },
+    algorithm: { type: 'string' },
+    profile: { type: 'string' },
+    params: { type: 'object' },
+    format: { type: 'string' }
+};
+
+// Query string of GET /route/stream; each algorithm's params are read
+// from the same query string
+const ROUTE_STREAM_SCHEMA = {
+    start: { type: 'point', required: true },
+    end: { type: 'point', required: true },
+    algorithms: { type: 'list' },
+    profile: { type: 'string' }
+};
+
+const VIA_SCHEMA = {
+    points: { type: 'points', required: true, min: 2 },
+    optimize: { type: 'boolean' },
+    profile: { type: 'string' },
+    format: { type: 'string' }
+};
+
+const ISOCHRONE_SCHEMA = {
+    point: { type: 'point', required: true },
+    budgets: { type: 'list' },
+    concavity: { type: 'number' },
+    profile: { type: 'string' }
+};
+
+const MATRIX_SCHEMA = {
+    origins: { type: 'points', required: true, min: 1 },
+    destinations: { type: 'points', required: true, min: 1 },
+    profile: { type: 'string' },
+    format: { type: 'string' }
+};
+
+// Algorithms are names or { algorithm, params }, checked by the benchmark
+const BENCHMARK_SCHEMA = {
+    start: { type: 'point' },
+    end: { type: 'point' },
+    pairs: { type: 'number' },
+    runs: { type: 'number' },
+    algorithms: { type: 'list' },
+    profile: { type: 'string' }
+};
+
+const GEOCODE_SCHEMA = {
+    q: { type: 'string', required: true },
+    limit: { type: 'number' }
+};
+
+const REVERSE_GEOCODE_SCHEMA = {
+    point: { type: 'point', required: true }
+};
+
+// Edges are checked for integer ids and the area for polygon GeoJSON by
+// the closures module
+const CLOSURE_SCHEMA = {
+    kind: { type: 'string' },
+    factor: { type: 'number' },
+    reason: { type: 'string' },
+    edges: { type: 'list' },
+    area: { type: 'object' },
+    startsAt: { type: 'string' },
+    endsAt: { type: 'string' }
+};
+
+// Pairs are checked row by row by the batch module, so a bad row fails on
+// its own instead of refusing the upload. CSV uploads give the other
+// fields in the query string.
+const BATCH_SCHEMA = {
+    pairs: { type: 'list' },
+    name: { type: 'string' },
+    algorithm: { type: 'string' },
+    profile: { type: 'string' },
+    params: { type: 'object' }
+};
+
+module.exports = {
+    parsePoint,
+    validateInput,
+    paramsSchema,
+    validateAlgorithmInput,
+    ROUTE_SCHEMA,
+    ROUTE_STREAM_SCHEMA,
+    VIA_SCHEMA,
+    ISOCHRONE_SCHEMA,
+    MATRIX_SCHEMA,
+    BENCHMARK_SCHEMA,
+    GEOCODE_SCHEMA,
+    REVERSE_GEOCODE_SCHEMA,
+    CLOSURE_SCHEMA,
+    BATCH_SCHEMA
+};
@@ -0,0 +1,59 @@
+const { getProfile, costColumns, travelMinutesSQL } = require('./profiles');
+const { ApiError } = require('./errors');
+
+// Mapbox vector tiles of the active road network, so the map can draw and
+// inspect it without a separate map server. Each tile has one layer,
+// `network`, with an edge's id, nodes, name, road class, length and its
+// cost under the requested profile. The id is both the feature id and the
+// `edge_id` property, since ST_AsMVT leaves the feature id column out of
+// the properties.
+
+const TILE_LAYER = 'network';
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+const MAX_TILE_ZOOM = 22;
+
+// Below this zoom a tile would hold most of the city; only major roads
+// are drawn there
+const DETAIL_ZOOM = 13;
+const MAJOR_ROAD_CLASSES = ['motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link', 'secondary'];
+
+// $1 = z, $2 = x, $3 = y, $4 = whether minor roads are included
+function tileSQL(profile) {
+    const { cost, reverseCost } = costColumns(profile);
+    return `
+        WITH bounds AS (SELECT ST_TileEnvelope($1, $2, $3) AS geom),
+        edges AS (
+            SELECT ne.id, ne.id AS edge_id, ne.source, ne.target, ne.name, ne.road_class,
+                   ne.cost AS length_km, ${cost} AS cost, ${reverseCost} AS reverse_cost,
+                   ${travelMinutesSQL('ne.cost')} AS travel_minutes,
+                   ST_AsMVTGeom(ST_Transform(ne.geom, 3857), b.geom, ${TILE_EXTENT}, ${TILE_BUFFER}, TRUE) AS geom
+            FROM public.network_edges ne, bounds b
+            WHERE ne.geom && ST_Transform(b.geom, 4326)
+              AND ($4 OR ne.road_class IN (${MAJOR_ROAD_CLASSES.map(c => `'${c}'`).join(', ')}))
+        )
+        SELECT ST_AsMVT(edges, '${TILE_LAYER}', ${TILE_EXTENT}, 'geom', 'id') AS tile
+        FROM edges
+        WHERE geom IS NOT NULL`;
+}
+
+// Parse z/x/y path segments, refusing tiles outside the zoom's grid
+function parseTile({ z, x, y }) {
+    const tile = { z: Number(z), x: Number(x), y: Number(y) };
+    if (!Number.isInteger(tile.z) || tile.z < 0 || tile.z > MAX_TILE_ZOOM) {
+        throw new ApiError(400, `Zoom must be an integer from 0 to ${MAX_TILE_ZOOM}`);
+    }
+    const size = 2 ** tile.z;
+    if (![tile.x, tile.y].every(value => Number.isInteger(value) && value >= 0 && value < size)) {
+        throw new ApiError(400, `Tile ${z}/${x}/${y} is outside the zoom ${tile.z} grid`);
+    }
+    return tile;
+}
+
+// Encoded tile as a Buffer; empty where the network has no edges
+async function networkTile(client, { z, x, y }, { profile = getProfile() } = {}) {
+    const result = await client.query(tileSQL(profile), [z, x, y, z >= DETAIL_ZOOM]);
+    return result.rows[0].tile || Buffer.alloc(0);
+}
+
+module.exports = { parseTile, networkTile };
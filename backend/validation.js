@@ -0,0 +1,165 @@
+const { ApiError } = require('./errors');
+
+// Topology checks over network_edges / network_nodes. Every issue is a
+// GeoJSON feature whose `issue` property names the check that found it.
+
+// Default and largest distance (metres) under which two nodes count as a near miss
+const DEFAULT_NEAR_MISS_METERS = 1;
+const MAX_NEAR_MISS_METERS = 50;
+
+// Issues returned per check; counts in the summary are always complete
+const MAX_ISSUES_PER_CHECK = 500;
+
+// Every component, largest first, with the edges of all but the largest;
+// $1 = limit on the smaller ones
+const COMPONENTS_SQL = `
+    WITH cc AS (
+        SELECT component, node
+        FROM pgr_connectedComponents('SELECT id, source, target, cost, reverse_cost FROM public.network_edges')
+    ),
+    sizes AS (
+        SELECT component, COUNT(*) AS node_count, COUNT(*) OVER () AS total
+        FROM cc
+        GROUP BY component
+    ),
+    ranked AS (
+        SELECT *, ROW_NUMBER() OVER (ORDER BY node_count DESC, component) AS rank
+        FROM sizes
+    )
+    SELECT r.component, r.rank, r.node_count, r.total,
+           COUNT(e.id) AS edge_count,
+           ST_AsGeoJSON(ST_Collect(e.geom)) AS geometry
+    FROM ranked r
+    LEFT JOIN cc ON cc.component = r.component AND r.rank > 1
+    LEFT JOIN public.network_edges e ON e.source = cc.node
+    WHERE r.rank <= $1::integer + 1
+    GROUP BY r.component, r.rank, r.node_count, r.total
+    ORDER BY r.rank`;
+
+// Nodes touched by a single edge, $1 = limit
+const DEAD_ENDS_SQL = `
+    WITH degree AS (
+        SELECT node, COUNT(*) AS degree
+        FROM (
+            SELECT source AS node FROM public.network_edges
+            UNION ALL
+            SELECT target FROM public.network_edges
+        ) AS ends
+        GROUP BY node
+    )
+    SELECT n.id, ST_AsGeoJSON(n.geom) AS geometry, COUNT(*) OVER () AS total
+    FROM degree d
+    JOIN public.network_nodes n ON n.id = d.node
+    WHERE d.degree = 1
+    ORDER BY n.id
+    LIMIT $1`;
+
+// Distinct nodes closer than $1 metres without an edge between them, $2 = limit.
+// The degree search radius widens with latitude so no pair is missed.
+const NEAR_MISSES_SQL = `
+    SELECT a.id AS node_a, b.id AS node_b,
+           ST_DistanceSphere(a.geom, b.geom) AS distance,
+           ST_AsGeoJSON(ST_MakeLine(a.geom, b.geom)) AS geometry,
+           COUNT(*) OVER () AS total
+    FROM public.network_nodes a
+    JOIN public.network_nodes b
+      ON a.id < b.id
+     AND ST_DWithin(a.geom, b.geom, $1::float8 / 111320.0 / GREATEST(cos(radians(ST_Y(a.geom))), 0.01))
+    WHERE ST_DistanceSphere(a.geom, b.geom) <= $1::float8
+      AND NOT EXISTS (
+          SELECT 1 FROM public.network_edges e
+          WHERE (e.source = a.id AND e.target = b.id) OR (e.source = b.id AND e.target = a.id)
+      )
+    ORDER BY distance, a.id
+    LIMIT $2`;
+
+// Loops and edges without length or cost, $1 = limit
+const ZERO_LENGTH_SQL = `
+    SELECT id, source, target, cost,
+           ST_AsGeoJSON(ST_StartPoint(geom)) AS geometry,
+           COUNT(*) OVER () AS total
+    FROM public.network_edges
+    WHERE source = target OR cost = 0 OR ST_Length(geom) = 0
+    ORDER BY id
+    LIMIT $1`;
+
+// Several edges joining the same two nodes, in either direction, $1 = limit
+const DUPLICATES_SQL = `
+    SELECT LEAST(source, target) AS node_a, GREATEST(source, target) AS node_b,
+           array_agg(id ORDER BY id) AS edge_ids,
+           ST_AsGeoJSON(ST_Collect(geom)) AS geometry,
+           COUNT(*) OVER () AS total
+    FROM public.network_edges
+    GROUP BY LEAST(source, target), GREATEST(source, target)
+    HAVING COUNT(*) > 1
+    ORDER BY node_a, node_b
+    LIMIT $1`;
+
+function parseTolerance(value) {
+    if (value == null || value === '') return DEFAULT_NEAR_MISS_METERS;
+    const tolerance = Number(value);
+    if (!Number.isFinite(tolerance) || tolerance <= 0 || tolerance > MAX_NEAR_MISS_METERS) {
+        throw new ApiError(400, `Tolerance must be a number of metres above 0 and at most ${MAX_NEAR_MISS_METERS}`);
+    }
+    return tolerance;
+}
+
+function issue(type, geometry, properties) {
+    return { type: 'Feature', geometry: JSON.parse(geometry), properties: { issue: type, ...properties } };
+}
+
+// Total rows a check found, from its COUNT(*) OVER () column
+function totalOf(rows) {
+    return rows.length ? Number(rows[0].total) : 0;
+}
+
+// Run every check; `summary` holds full counts, `issues` at most
+// MAX_ISSUES_PER_CHECK features per check
+async function validateNetwork(client, { tolerance = DEFAULT_NEAR_MISS_METERS } = {}) {
+    const components = await client.query(COMPONENTS_SQL, [MAX_ISSUES_PER_CHECK]);
+    const deadEnds = await client.query(DEAD_ENDS_SQL, [MAX_ISSUES_PER_CHECK]);
+    const nearMisses = await client.query(NEAR_MISSES_SQL, [tolerance, MAX_ISSUES_PER_CHECK]);
+    const zeroLength = await client.query(ZERO_LENGTH_SQL, [MAX_ISSUES_PER_CHECK]);
+    const duplicates = await client.query(DUPLICATES_SQL, [MAX_ISSUES_PER_CHECK]);
+
+    const features = [
+        ...components.rows.filter(row => Number(row.rank) > 1).map(row => issue('component', row.geometry, {
+            component: Number(row.component),
+            nodeCount: Number(row.node_count),
+            edgeCount: Number(row.edge_count)
+        })),
+        ...deadEnds.rows.map(row => issue('deadEnd', row.geometry, { nodeId: Number(row.id) })),
+        ...nearMisses.rows.map(row => issue('nearMiss', row.geometry, {
+            nodeIds: [Number(row.node_a), Number(row.node_b)],
+            distance: Number(row.distance)
+        })),
+        ...zeroLength.rows.map(row => issue('zeroLength', row.geometry, {
+            edgeId: Number(row.id),
+            source: Number(row.source),
+            target: Number(row.target),
+            cost: Number(row.cost)
+        })),
+        ...duplicates.rows.map(row => issue('duplicate', row.geometry, {
+            nodeIds: [Number(row.node_a), Number(row.node_b)],
+            edgeIds: row.edge_ids.map(Number)
+        }))
+    ];
+
+    // The largest component is the network itself, so it is not an issue
+    const componentCount = totalOf(components.rows);
+    return {
+        tolerance,
+        summary: {
+            components: componentCount,
+            disconnectedComponents: Math.max(componentCount - 1, 0),
+            deadEnds: totalOf(deadEnds.rows),
+            nearMisses: totalOf(nearMisses.rows),
+            zeroLengthEdges: totalOf(zeroLength.rows),
+            duplicateEdges: totalOf(duplicates.rows)
+        },
+        limitPerCheck: MAX_ISSUES_PER_CHECK,
+        issues: { type: 'FeatureCollection', features }
+    };
+}
+
+module.exports = { parseTolerance, validateNetwork };
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+
+const HEURISTICS = [0, 1, 2, 3, 4, 5];
+
+const formatMs = ms => (ms < 10 ? ms.toFixed(2) : ms.toFixed(1));
+
+// Settings for POST /benchmark and its results as a table plus a bar chart
+// of mean execution time. Without start and end the benchmark runs on
+// random node pairs; the heuristic sweep runs A* once per heuristic.
+function BenchmarkPanel({ result, onRun, onClose, colorOf, usesRoute }) {
+  const [runs, setRuns] = useState(3);
+  const [pairs, setPairs] = useState(5);
+  const [sweep, setSweep] = useState(false);
+
+  const slowest = result ? Math.max(...result.results.map(r => r.meanMs || 0), 0.001) : 1;
+  const inputStyle = { width: '48px', padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '24px',
+      left: '12px',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      padding: '12px 16px',
+      zIndex: 1100,
+      fontSize: '0.9em',
+      width: '440px',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontWeight: 500 }}>⏱ Algorithm Benchmark</span>
+        <button
+          onClick={onClose}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+          title="Hide benchmark"
+        >
+          ✕
+        </button>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', color: '#555' }}>
+        <span>{usesRoute ? 'On the selected route' : 'On random node pairs'}</span>
+        {!usesRoute && (
+          <label>
+            Pairs <input type="number" min={1} max={20} value={pairs} onChange={e => setPairs(Number(e.target.value))} style={inputStyle} />
+          </label>
+        )}
+        <label>
+          Runs <input type="number" min={1} max={10} value={runs} onChange={e => setRuns(Number(e.target.value))} style={inputStyle} />
+        </label>
+        <label style={{ cursor: 'pointer' }} title="Run A* once for each heuristic (0-5)">
+          <input type="checkbox" checked={sweep} onChange={e => setSweep(e.target.checked)} /> A* heuristic sweep
+        </label>
+        <button
+          onClick={() => onRun({ runs, pairs, heuristics: sweep ? HEURISTICS : null })}
+          style={{ marginLeft: 'auto', padding: '3px 10px', borderRadius: '6px', border: 'none', background: '#007bff', color: 'white', cursor: 'pointer' }}
+        >
+          Run
+        </button>
+      </div>
+      {result && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '10px' }}>
+            <thead>
+              <tr style={{ color: '#888', textAlign: 'right' }}>
+                <th style={{ textAlign: 'left', fontWeight: 500 }}>Algorithm</th>
+                <th style={{ fontWeight: 500 }}>Mean ms</th>
+                <th style={{ fontWeight: 500 }}>Min–max</th>
+                <th style={{ fontWeight: 500 }} title="Vertices settled, where it can be derived">Visited</th>
+                <th style={{ fontWeight: 500 }}>Found</th>
+                <th style={{ fontWeight: 500 }}>Cost ({result.costUnit})</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.results.map((r, index) => (
+                <tr key={index} style={{ textAlign: 'right', borderTop: '1px solid #eee' }}>
+                  <td style={{ textAlign: 'left' }}>{r.label}</td>
+                  <td><b>{r.meanMs == null ? '-' : formatMs(r.meanMs)}</b></td>
+                  <td style={{ color: '#888' }}>{formatMs(r.minMs)}–{formatMs(r.maxMs)}</td>
+                  <td>{r.meanVisitedNodes == null ? 'n/a' : Math.round(r.meanVisitedNodes)}</td>
+                  <td>{r.found}/{r.pairs}</td>
+                  <td>{r.meanCost == null ? '-' : r.meanCost.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ marginTop: '10px' }}>
+            {result.results.map((r, index) => (
+              <div key={index} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '3px' }}>
+                <span style={{ width: '140px', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{r.label}</span>
+                <div style={{ flex: 1, background: '#f1f3f4', borderRadius: '3px' }}>
+                  <div style={{
+                    width: `${Math.max((r.meanMs || 0) / slowest * 100, 1)}%`,
+                    height: '10px',
+                    borderRadius: '3px',
+                    background: colorOf(r.algorithm),
+                  }}></div>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div style={{ color: '#888', fontSize: '0.9em', marginTop: '4px' }}>
+            Median of {result.runs} run{result.runs > 1 ? 's' : ''} per pair; visited counts are only known for the Dijkstra variants.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BenchmarkPanel;
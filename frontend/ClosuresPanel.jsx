@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+
+// Create road closures and penalties from picked edges or a drawn area,
+// and list the closures in force with a button to end each one.
+// `mode` is 'closureEdges' while roads are being picked and 'closureArea'
+// while polygon corners are being placed.
+function ClosuresPanel({ closures, draft, mode, onModeChange, onClearDraft, onSave, onExpire, onClose }) {
+  const [kind, setKind] = useState('closed');
+  const [factor, setFactor] = useState(3);
+  const [reason, setReason] = useState('');
+  const [hours, setHours] = useState('');
+
+  const hasArea = draft.area.length >= 3;
+  const canSave = draft.edges.length > 0 || hasArea;
+  const inputStyle = { padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' };
+  const modeButton = (value, label, title) => (
+    <button
+      onClick={() => onModeChange(mode === value ? null : value)}
+      title={title}
+      style={{
+        padding: '3px 10px',
+        borderRadius: '6px',
+        border: 'none',
+        background: mode === value ? '#dc3545' : '#f1f3f4',
+        color: mode === value ? 'white' : '#333',
+        cursor: 'pointer',
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  const save = () => {
+    onSave({
+      kind,
+      factor: kind === 'penalty' ? factor : undefined,
+      reason: reason.trim() || undefined,
+      hours: hours === '' ? null : Number(hours),
+    });
+    setReason('');
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '12px',
+      left: '56px',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      width: '300px',
+      padding: '12px 14px',
+      zIndex: 1100,
+      fontSize: '0.9em',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ fontWeight: 500 }}>🚧 Road Closures</span>
+        <button
+          onClick={onClose}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+          title="Hide closures"
+        >
+          ✕
+        </button>
+      </div>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+        {modeButton('closureEdges', 'Pick roads', 'Click roads on the Road Network layer to add or remove them')}
+        {modeButton('closureArea', 'Draw area', 'Click the map to place the corners of a polygon')}
+        {canSave || draft.area.length ? (
+          <button
+            onClick={onClearDraft}
+            style={{ marginLeft: 'auto', padding: '3px 8px', borderRadius: '6px', border: 'none', background: '#f1f3f4', cursor: 'pointer' }}
+          >
+            Clear
+          </button>
+        ) : null}
+      </div>
+      <div style={{ color: '#555', marginBottom: '6px' }}>
+        {draft.edges.length} road{draft.edges.length === 1 ? '' : 's'} picked
+        {draft.area.length > 0 && ` · area with ${draft.area.length} corner${draft.area.length === 1 ? '' : 's'}${hasArea ? '' : ' (needs 3)'}`}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '6px' }}>
+        <select value={kind} onChange={e => setKind(e.target.value)} style={inputStyle}>
+          <option value="closed">Closed</option>
+          <option value="penalty">Slowed</option>
+        </select>
+        {kind === 'penalty' && (
+          <label title="Cost and travel time are multiplied by this factor">
+            ×<input type="number" min={1.1} step={0.5} value={factor} onChange={e => setFactor(Number(e.target.value))} style={{ ...inputStyle, width: '48px' }} />
+          </label>
+        )}
+        <label title="Leave empty to keep the closure until it is ended here">
+          for <input type="number" min={1} value={hours} placeholder="∞" onChange={e => setHours(e.target.value)} style={{ ...inputStyle, width: '48px' }} /> h
+        </label>
+      </div>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+        <input
+          type="text"
+          value={reason}
+          placeholder="Reason (e.g. roadworks)"
+          onChange={e => setReason(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button
+          onClick={save}
+          disabled={!canSave}
+          style={{ padding: '3px 10px', borderRadius: '6px', border: 'none', background: canSave ? '#007bff' : '#b0c4de', color: 'white', cursor: canSave ? 'pointer' : 'not-allowed' }}
+        >
+          Save
+        </button>
+      </div>
+      <div style={{ borderTop: '1px solid #eee', paddingTop: '6px', maxHeight: '220px', overflowY: 'auto' }}>
+        {!closures.length && <div style={{ color: '#888' }}>No closures in force.</div>}
+        {closures.map(closure => (
+          <div key={closure.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '4px 0' }}>
+            <div style={{ flex: 1 }}>
+              <div>
+                <b>#{closure.id}</b> {closure.kind === 'closed' ? '⛔ Closed' : `🐢 Slowed ×${closure.factor}`}
+                <span style={{ color: '#888' }}> · {closure.edgeCount} edge{closure.edgeCount === 1 ? '' : 's'}</span>
+              </div>
+              {closure.reason && <div style={{ color: '#555' }}>{closure.reason}</div>}
+              {closure.staleEdges && (
+                <div style={{ color: '#fd7e14', fontSize: '0.9em' }} title={`Picked on network version ${closure.graphVersion}`}>
+                  Picked roads are from an older network and no longer apply
+                </div>
+              )}
+              <div style={{ color: '#888', fontSize: '0.9em' }}>
+                {closure.endsAt ? `until ${new Date(closure.endsAt).toLocaleString()}` : 'until ended'}
+              </div>
+            </div>
+            <button
+              onClick={() => onExpire(closure.id)}
+              style={{ padding: '3px 8px', borderRadius: '6px', border: 'none', background: '#f1f3f4', cursor: 'pointer' }}
+              title="End this closure now"
+            >
+              End
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ClosuresPanel;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+
+const MANEUVER_ICONS = {
+  depart: '🚩',
+  left: '⬅️',
+  right: '➡️',
+  straight: '⬆️',
+  waypoint: '📍',
+  arrive: '🏁',
+};
+
+// Collapsible turn-by-turn list for the computed routes. `directions` maps
+// a route key (algorithm name or 'via') to its steps; clicking a step
+// hands it to onStepClick so the map can zoom to it.
+function DirectionsPanel({ directions, labelOf, onStepClick, activeStep }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const [selected, setSelected] = useState(null);
+
+  const keys = Object.keys(directions).filter(key => directions[key] && directions[key].length);
+  if (!keys.length) return null;
+  const current = keys.includes(selected) ? selected : keys[0];
+  const steps = directions[current];
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '12px',
+      right: '60px',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      width: '280px',
+      padding: '12px 14px',
+      zIndex: 1100,
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 500 }}>🧭 Directions</span>
+        {keys.length > 1 && (
+          <select
+            value={current}
+            onChange={e => setSelected(e.target.value)}
+            style={{ fontSize: '0.85em', padding: '1px 4px', borderRadius: '4px', border: '1px solid #ccc' }}
+          >
+            {keys.map(key => <option key={key} value={key}>{labelOf(key)}</option>)}
+          </select>
+        )}
+        <button
+          onClick={() => setCollapsed(!collapsed)}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', fontSize: '0.9em', color: '#555' }}
+          title={collapsed ? 'Show steps' : 'Hide steps'}
+        >
+          {collapsed ? '▸' : '▾'}
+        </button>
+      </div>
+      {!collapsed && (
+        <div style={{ maxHeight: '260px', overflowY: 'auto', marginTop: '8px' }}>
+          {steps.map(step => (
+            <div
+              key={step.step}
+              onClick={() => onStepClick(step)}
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '8px',
+                padding: '5px 6px',
+                borderRadius: '6px',
+                fontSize: '0.9em',
+                cursor: 'pointer',
+                background: activeStep === step ? '#e7f1ff' : 'transparent',
+              }}
+              title="Zoom to this step"
+            >
+              <span style={{ width: '20px', textAlign: 'center', flexShrink: 0 }}>{MANEUVER_ICONS[step.maneuver] || '•'}</span>
+              <span style={{ flex: 1 }}>{step.instruction}</span>
+              {step.distance > 0 && (
+                <span style={{ color: '#888', whiteSpace: 'nowrap' }}>
+                  {step.distance < 1 ? `${Math.round(step.distance * 1000)} m` : `${step.distance.toFixed(2)} km`}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DirectionsPanel;
@@ -0,0 +1,68 @@
+import React from 'react';
+
+// Heading and advice per API error code; NETWORK marks a request that
+// never reached the backend
+export const ERROR_HINTS = {
+  NO_PATH: {
+    title: 'No route found',
+    hint: 'The points lie in parts of the road network that are not connected. Validate Network shows disconnected components.',
+  },
+  SNAP_TOO_FAR: {
+    title: 'Point too far from a road',
+    hint: 'Pick a point closer to a road of the network.',
+  },
+  OUT_OF_BOUNDS: {
+    title: 'Coordinates out of range',
+    hint: 'Latitude must be between -90 and 90 and longitude between -180 and 180.',
+  },
+  INVALID_REQUEST: {
+    title: 'Invalid request',
+    hint: null,
+  },
+  DB_ERROR: {
+    title: 'Database error',
+    hint: 'The routing database failed to answer. Try again, or check the backend log.',
+  },
+  NETWORK: {
+    title: 'Backend unreachable',
+    hint: 'Check that the API server is running.',
+  },
+};
+
+// Dismissible message shown over the top of the map for the last failed
+// request. `error` is { context, message, code }.
+function ErrorBanner({ error, onClose }) {
+  const info = ERROR_HINTS[error.code] || { title: 'Request failed', hint: null };
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '12px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      background: '#fff5f5',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #f5c2c7',
+      borderLeft: '5px solid #dc3545',
+      padding: '10px 14px',
+      zIndex: 1200,
+      fontSize: '0.9em',
+      maxWidth: '420px',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontWeight: 600, color: '#dc3545' }}>⚠️ {error.context}: {info.title}</span>
+        <button
+          onClick={onClose}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+          title="Dismiss"
+        >
+          ✕
+        </button>
+      </div>
+      <div style={{ marginTop: '4px', color: '#333' }}>{error.message}</div>
+      {info.hint && <div style={{ marginTop: '4px', color: '#888' }}>{info.hint}</div>}
+    </div>
+  );
+}
+
+export default ErrorBanner;
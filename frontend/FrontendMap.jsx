@@ -1,21 +1,119 @@
 import React, { useRef, useEffect, useState } from 'react';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import 'leaflet.vectorgrid';
+import StopsPanel from './StopsPanel';
+import DirectionsPanel from './DirectionsPanel';
+import ValidationPanel, { ISSUE_TYPES } from './ValidationPanel';
+import ErrorBanner, { ERROR_HINTS } from './ErrorBanner';
+import HistoryPanel from './HistoryPanel';
+import BenchmarkPanel from './BenchmarkPanel';
+import SearchBox from './SearchBox';
+import ClosuresPanel from './ClosuresPanel';
 
-const GEOSERVER_URL = "http://localhost:8080/geoserver/network/wms?";
-const GRID_LAYER = "network:grid_lines";
-const PATH_LAYERS = {
-  dijkstra: "network:mv_short_path",
-  astar: "network:mv_astar_path"
+// Set at build time from frontend/.env or the environment (webpack.config.js)
+const API_URL = process.env.API_URL;
+// Road network vector tiles; costs in the tiles follow the cost profile
+const networkTileUrl = profile => `${API_URL}/tiles/network/{z}/{x}/{y}.mvt?profile=${encodeURIComponent(profile)}`;
+const NETWORK_STYLE = { color: '#3388ff', weight: 2, opacity: 0.6 };
+const NETWORK_HOVER_STYLE = { color: '#ff7800', weight: 5, opacity: 1 };
+// Roads picked for a new closure, and closures in force by kind
+const CLOSURE_PICK_STYLE = { color: '#dc3545', weight: 5, opacity: 1 };
+const CLOSURE_STYLES = {
+  closed: { color: '#dc3545', weight: 6, opacity: 0.75 },
+  penalty: { color: '#fd7e14', weight: 6, opacity: 0.75 },
+};
+// Closure effects of a route saved before closures existed
+const NO_CLOSURES = { avoided: [], penalised: [] };
+const PATH_STYLES = {
+  dijkstra: { color: '#d4b800', weight: 6, opacity: 0.85 },
+  astar: { color: '#dc3545', weight: 3, opacity: 0.9, dashArray: '6 6' },
+  bdDijkstra: { color: '#6f42c1', weight: 5, opacity: 0.8 },
+  bdAstar: { color: '#fd7e14', weight: 3, opacity: 0.9, dashArray: '2 6' },
+  ksp: { color: '#17a2b8', weight: 4, opacity: 0.85 },
+  via: { color: '#0056b3', weight: 5, opacity: 0.85 },
+};
+const VIA_LABEL = 'Multi-stop';
+// Reachability bands, from the smallest budget outwards
+const BAND_COLORS = ['#28a745', '#ffc107', '#fd7e14', '#dc3545', '#6f42c1'];
+const DEFAULT_STYLE = { color: '#007bff', weight: 4, opacity: 0.85 };
+// One color per ranked K-shortest-paths alternative
+const ALTERNATIVE_COLORS = ['#17a2b8', '#6610f2', '#e83e8c', '#20c997', '#fd7e14', '#6c757d', '#007bff', '#28a745', '#ffc107', '#343a40'];
+// Calculation stages pushed by GET /route/stream, before a result arrives
+const STAGE_LABELS = {
+  queued: 'Waiting',
+  snapping: 'Snapping points',
+  routing: 'Routing',
+};
+// Idle time after a marker drag or context action before recalculating
+const RECALC_DELAY_MS = 400;
+// Route download formats offered in the toolbar
+const EXPORT_FORMATS = [
+  { format: 'gpx', label: 'GPX (GPS track)' },
+  { format: 'kml', label: 'KML (Google Earth)' },
+  { format: 'geojson', label: 'GeoJSON (GIS)' },
+];
+// Used until GET /profiles answers
+const DEFAULT_PROFILES = [
+  { name: 'shortest', label: 'Shortest distance', unit: 'km', default: true },
+];
+// Used until GET /algorithms answers
+const DEFAULT_ALGORITHMS = [
+  { name: 'dijkstra', label: 'Dijkstra' },
+  { name: 'astar', label: 'A*' },
+];
+
+// Error for a failed API response, keeping its code (NO_PATH, SNAP_TOO_FAR, ...)
+const apiError = data => Object.assign(new Error(data.error || 'Network response was not ok'), { code: data.code });
+
+// Leaflet tooltips take HTML, so names and reasons users uploaded are escaped first
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHTML = text => String(text).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// Travel time in minutes as "12 min" or "1 h 05 min"
+const formatDuration = minutes => {
+  const total = Math.round(minutes);
+  if (total < 60) return `${total} min`;
+  return `${Math.floor(total / 60)} h ${String(total % 60).padStart(2, '0')} min`;
 };
 
 function FrontendMap() {
-  const [routeInfo, setRouteInfo] = useState({ dijkstra: null, astar: null });
+  const [routeInfo, setRouteInfo] = useState({});
+  const [algorithms, setAlgorithms] = useState(DEFAULT_ALGORITHMS);
+  const [selectedAlgorithms, setSelectedAlgorithms] = useState(['dijkstra', 'astar']);
+  const [kspK, setKspK] = useState(3);
+  const [profiles, setProfiles] = useState(DEFAULT_PROFILES);
+  const [profile, setProfile] = useState('shortest');
+  const [alternatives, setAlternatives] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [downloadOpen, setDownloadOpen] = useState(false);
   const mapRef = useRef(null);
   const [start, setStart] = useState(null);
   const [end, setEnd] = useState(null);
-  const [selecting, setSelecting] = useState(null); // 'start' or 'end' or null
+  const [waypoints, setWaypoints] = useState([]);
+  const [optimizeOrder, setOptimizeOrder] = useState(false);
+  const [legs, setLegs] = useState([]);
+  const [snapDistances, setSnapDistances] = useState([]);
+  const [directions, setDirections] = useState({});
+  const [activeStep, setActiveStep] = useState(null);
+  const [budgetsText, setBudgetsText] = useState('2, 5, 10');
+  const [isochrone, setIsochrone] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [hiddenIssues, setHiddenIssues] = useState([]);
+  const [tolerance, setTolerance] = useState(1);
+  const [error, setError] = useState(null); // { context, message, code } of the last failed request
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [benchmarkOpen, setBenchmarkOpen] = useState(false);
+  const [benchmark, setBenchmark] = useState(null);
+  const [recomputing, setRecomputing] = useState(false);
+  const [progress, setProgress] = useState(null); // stage text of a streamed route request
+  const [contextMenu, setContextMenu] = useState(null); // { x, y, latlng } of a right click
+  const [pointNames, setPointNames] = useState({}); // { start, end: { point, name } } from geocoding
+  const [closuresOpen, setClosuresOpen] = useState(false);
+  const [closures, setClosures] = useState([]);
+  const [closureDraft, setClosureDraft] = useState({ edges: [], area: [] }); // closure being drawn
+  const [selecting, setSelecting] = useState(null); // 'start', 'end', 'waypoint', 'reachability', 'closureEdges', 'closureArea' or null
 
   const selectingRef = useRef(selecting);
 
@@ -25,9 +123,35 @@ function FrontendMap() {
 
   const startMarkerRef = useRef(null);
   const endMarkerRef = useRef(null);
+  const waypointMarkersRef = useRef([]);
+  // Dashed connectors from each clicked point to where it snapped onto the network
+  const snapLayerRef = useRef(null);
+  // Highlight of the directions step last clicked
+  const stepLayerRef = useRef(null);
+  const reachabilityLayerRef = useRef(null);
+  const validationLayerRef = useRef(null);
+  // Latest isochrone request function, called from the map click handler
+  const runIsochroneRef = useRef(null);
+  // Latest route request function and the pending automatic recalculation
+  const sendRouteRequestRef = useRef(null);
+  const recalcTimerRef = useRef(null);
+  // Incremented per route request; only the newest may draw its result
+  const requestSeqRef = useRef(0);
+  // Closes the open route event stream, if any
+  const closeStreamRef = useRef(null);
 
-  // Keep references to WMS layers for switching
-  const wmsLayersRef = useRef({});
+  // Layer groups holding the GeoJSON path of each algorithm
+  const pathLayersRef = useRef({});
+  const layerControlRef = useRef(null);
+  const roadNetworkRef = useRef(null);
+  // Unit of the selected profile, for the road network hover text
+  const costUnitRef = useRef('km');
+  // Per-alternative layer groups nested inside the 'ksp' path layer
+  const alternativeLayersRef = useRef({});
+  const closuresLayerRef = useRef(null);
+  const closureDraftLayerRef = useRef(null);
+  // Edge ids picked for the closure being drawn, kept highlighted on the network
+  const closureEdgesRef = useRef([]);
 
   useEffect(() => {
     if (!mapRef.current) {
@@ -40,24 +164,54 @@ function FrontendMap() {
         attribution: '&copy; OpenStreetMap contributors',
       });
 
-      // WMS Layers
-      const roadNetwork = L.tileLayer.wms(GEOSERVER_URL, {
-        layers: GRID_LAYER,
-        format: 'image/png',
-        transparent: true,
+      // Road network drawn from the API's vector tiles; hovering an edge
+      // highlights it and shows its id and cost
+      const roadNetwork = L.vectorGrid.protobuf(networkTileUrl('shortest'), {
+        rendererFactory: L.svg.tile,
+        vectorTileLayerStyles: { network: NETWORK_STYLE },
+        interactive: true,
+        getFeatureId: feature => feature.properties.edge_id,
+        maxZoom: 19,
+      });
+      roadNetworkRef.current = roadNetwork;
+      const networkTooltip = L.tooltip({ direction: 'top', offset: [0, -6] });
+      roadNetwork.on('mouseover', e => {
+        const p = e.layer.properties;
+        const unit = costUnitRef.current;
+        roadNetwork.setFeatureStyle(p.edge_id, NETWORK_HOVER_STYLE);
+        networkTooltip.setContent(
+          `edge ${p.edge_id}${p.name ? ` · ${escapeHTML(p.name)}` : ''}<br/>` +
+          `cost: ${p.cost.toFixed(2)} ${unit}` +
+          (p.reverse_cost < 0 ? ' (one-way)' : ` · reverse: ${p.reverse_cost.toFixed(2)} ${unit}`) +
+          `<br/>${p.length_km.toFixed(2)} km · ${p.travel_minutes.toFixed(1)} min`
+        );
+        map.openTooltip(networkTooltip, e.latlng);
       });
-      // Both path layers
-      const dijkstraPath = L.tileLayer.wms(GEOSERVER_URL, {
-        layers: PATH_LAYERS.dijkstra,
-        format: 'image/png',
-        transparent: true,
+      roadNetwork.on('mouseout', e => {
+        const id = e.layer.properties.edge_id;
+        if (closureEdgesRef.current.includes(id)) roadNetwork.setFeatureStyle(id, CLOSURE_PICK_STYLE);
+        else roadNetwork.resetFeatureStyle(id);
+        map.closeTooltip(networkTooltip);
       });
-      const astarPath = L.tileLayer.wms(GEOSERVER_URL, {
-        layers: PATH_LAYERS.astar,
-        format: 'image/png',
-        transparent: true,
+      // While picking roads for a closure, a click adds or removes the edge
+      roadNetwork.on('click', e => {
+        if (selectingRef.current !== 'closureEdges') return;
+        const id = e.layer.properties.edge_id;
+        setClosureDraft(prev => ({
+          ...prev,
+          edges: prev.edges.includes(id) ? prev.edges.filter(edge => edge !== id) : [...prev.edges, id],
+        }));
       });
-      wmsLayersRef.current = { dijkstra: dijkstraPath, astar: astarPath };
+      // Both path layers, filled client-side from the API's GeoJSON
+      const dijkstraPath = L.layerGroup();
+      const astarPath = L.layerGroup();
+      pathLayersRef.current = { dijkstra: dijkstraPath, astar: astarPath };
+      const reachability = L.layerGroup();
+      reachabilityLayerRef.current = reachability;
+      const networkIssues = L.layerGroup();
+      validationLayerRef.current = networkIssues;
+      const roadClosures = L.layerGroup();
+      closuresLayerRef.current = roadClosures;
 
       // Layer control
       const baseLayers = {
@@ -67,16 +221,33 @@ function FrontendMap() {
         'Road Network': roadNetwork,
         'Dijkstra Path': dijkstraPath,
         'A* Path': astarPath,
+        'Reachability': reachability,
+        'Network Issues': networkIssues,
+        'Road Closures': roadClosures,
       };
-      L.control.layers(baseLayers, overlays).addTo(map);
+      layerControlRef.current = L.control.layers(baseLayers, overlays).addTo(map);
 
       osm.addTo(map);
       roadNetwork.addTo(map);
       // Add both path layers as visible by default
       dijkstraPath.addTo(map);
       astarPath.addTo(map);
+      reachability.addTo(map);
+      networkIssues.addTo(map);
+      roadClosures.addTo(map);
+      closureDraftLayerRef.current = L.layerGroup().addTo(map);
+      snapLayerRef.current = L.layerGroup().addTo(map);
+      stepLayerRef.current = L.layerGroup().addTo(map);
+      // Drawn routes get their own pane so they can be dimmed while recomputing
+      map.createPane('routes').style.zIndex = 450;
+
+      map.on('contextmenu', e => {
+        setContextMenu({ x: e.containerPoint.x, y: e.containerPoint.y, latlng: e.latlng });
+      });
+      map.on('movestart', () => setContextMenu(null));
 
       map.on('click', function (e) {
+        setContextMenu(null);
         const currentSelecting = selectingRef.current;
 
         if (currentSelecting === 'start') {
@@ -85,117 +256,888 @@ function FrontendMap() {
         } else if (currentSelecting === 'end') {
           setEnd(e.latlng);
           setSelecting(null);
+        } else if (currentSelecting === 'waypoint') {
+          setWaypoints(prev => [...prev, e.latlng]);
+          setSelecting(null);
+        } else if (currentSelecting === 'reachability' && runIsochroneRef.current) {
+          // Stays in reachability mode so each click explores a new point
+          runIsochroneRef.current(e.latlng);
+        } else if (currentSelecting === 'closureArea') {
+          // Each click adds a corner of the closure polygon
+          setClosureDraft(prev => ({ ...prev, area: [...prev.area, e.latlng] }));
         }
       });
     }
   }, []);
 
-  // On first mount, reset backend (clear points and refresh views)
+  // Load the algorithms the backend offers
   useEffect(() => {
-    fetch('http://localhost:3001/reset-all', { method: 'POST' });
+    fetch(`${API_URL}/algorithms`)
+      .then(res => res.json())
+      .then(data => {
+        if (data && Array.isArray(data.algorithms)) setAlgorithms(data.algorithms);
+      })
+      .catch(err => console.error('Failed to load algorithms:', err));
   }, []);
 
+  // Load the edge cost profiles the backend offers
+  useEffect(() => {
+    fetch(`${API_URL}/profiles`)
+      .then(res => res.json())
+      .then(data => {
+        if (data && Array.isArray(data.profiles)) setProfiles(data.profiles);
+      })
+      .catch(err => console.error('Failed to load cost profiles:', err));
+  }, []);
+
+  // Open the routes named in a shared link (?routes=id,id)
+  useEffect(() => {
+    const ids = new URLSearchParams(window.location.search).get('routes');
+    if (ids) loadSavedRoutes(ids.split(','));
+  }, []);
+
+  useEffect(() => {
+    refreshHistory();
+  }, [historyOpen]);
+
+  // Closures are drawn from the start and reloaded when the panel opens
+  useEffect(() => {
+    loadClosures({ quiet: !closuresOpen });
+  }, [closuresOpen]);
+
+  // Draw the closures in force: closed roads red, slowed roads orange
+  useEffect(() => {
+    const layer = closuresLayerRef.current;
+    if (!layer) return;
+    layer.clearLayers();
+    closures.forEach(closure => {
+      const style = CLOSURE_STYLES[closure.kind];
+      const label = `#${closure.id} ${closure.kind === 'closed' ? 'Closed' : `Slowed ×${closure.factor}`}` +
+        (closure.reason ? ` · ${escapeHTML(closure.reason)}` : '');
+      if (closure.area) {
+        L.geoJSON(closure.area, { style: { ...style, weight: 2, fillOpacity: 0.08, dashArray: '6 4' } })
+          .bindTooltip(label)
+          .addTo(layer);
+      }
+      if (closure.geometry) L.geoJSON(closure.geometry, { style }).bindTooltip(label).addTo(layer);
+    });
+  }, [closures]);
+
+  // Highlight the roads picked for a new closure and outline its polygon
+  useEffect(() => {
+    const network = roadNetworkRef.current;
+    const layer = closureDraftLayerRef.current;
+    if (!network || !layer) return;
+    closureEdgesRef.current.forEach(id => network.resetFeatureStyle(id));
+    closureDraft.edges.forEach(id => network.setFeatureStyle(id, CLOSURE_PICK_STYLE));
+    closureEdgesRef.current = closureDraft.edges;
+
+    layer.clearLayers();
+    const corners = closureDraft.area.map(p => [p.lat, p.lng]);
+    const outline = { color: '#dc3545', weight: 2, dashArray: '6 4', fillOpacity: 0.1 };
+    if (corners.length >= 3) L.polygon(corners, outline).addTo(layer);
+    else if (corners.length === 2) L.polyline(corners, outline).addTo(layer);
+    corners.forEach(corner => L.circleMarker(corner, { radius: 4, color: '#dc3545', fillOpacity: 1 }).addTo(layer));
+  }, [closureDraft]);
+
+  // Unit of the selected profile's costs and reachability budgets
+  const costUnit = (profiles.find(p => p.name === profile) || DEFAULT_PROFILES[0]).unit;
+  costUnitRef.current = costUnit;
+
+  // Network tiles carry the selected profile's costs
+  useEffect(() => {
+    if (roadNetworkRef.current) roadNetworkRef.current.setUrl(networkTileUrl(profile));
+  }, [profile]);
+
+  // Recalculate shortly after the last marker move, so a drag in progress
+  // does not send a request for every mouse movement
+  const scheduleRecalc = () => {
+    clearTimeout(recalcTimerRef.current);
+    recalcTimerRef.current = setTimeout(() => {
+      if (sendRouteRequestRef.current) sendRouteRequestRef.current({ quiet: true });
+    }, RECALC_DELAY_MS);
+  };
+
+  // Keep a draggable start or end marker in step with its point; dragging
+  // moves the point and recalculates the route
+  const syncPointMarker = (markerRef, point, color, label, setPoint) => {
+    const map = mapRef.current;
+    if (!point) {
+      if (markerRef.current) map.removeLayer(markerRef.current);
+      markerRef.current = null;
+      return;
+    }
+    if (markerRef.current) {
+      markerRef.current.setLatLng([point.lat, point.lng]);
+      return;
+    }
+    const icon = L.divIcon({
+      className: '',
+      html: `<div style="width: 18px; height: 18px; border-radius: 50%; background: ${color}; opacity: 0.85; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.4); cursor: move;"></div>`,
+      iconSize: [22, 22],
+      iconAnchor: [11, 11],
+    });
+    const marker = L.marker([point.lat, point.lng], { icon, draggable: true })
+      .addTo(map)
+      .bindTooltip(label, { permanent: true, direction: 'top', offset: [0, -10] });
+    marker.on('drag', e => {
+      const { lat, lng } = e.target.getLatLng();
+      setPoint({ lat, lng });
+      scheduleRecalc();
+    });
+    markerRef.current = marker;
+  };
+
   // Show start/end markers as colored circles with labels
+  useEffect(() => {
+    if (!mapRef.current) return;
+    syncPointMarker(startMarkerRef, start, 'green', 'Start', setStart);
+    syncPointMarker(endMarkerRef, end, 'red', 'End', setEnd);
+  }, [start, end]);
+
+  // Street or place name of the start or end point, if known
+  const nameOf = (key, point) => {
+    const named = pointNames[key];
+    return named && named.point === point ? named.name : null;
+  };
+  const describePoint = (key, point) => {
+    const name = nameOf(key, point);
+    if (name) return name;
+    return point ? `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}` : '';
+  };
+
+  // Name a start or end point after its nearest street once it stops
+  // moving, unless it was picked from a search and already has a name
+  const reverseGeocode = (key, point) => {
+    if (!point || (pointNames[key] && pointNames[key].point === point)) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${API_URL}/geocode/reverse?point=${point.lat},${point.lng}`);
+        const data = await res.json();
+        if (!cancelled && res.ok) setPointNames(prev => ({ ...prev, [key]: { point, name: data.label } }));
+      } catch (err) {
+        // Without a name the coordinates stay on show
+      }
+    }, RECALC_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  };
+  useEffect(() => reverseGeocode('start', start), [start]);
+  useEffect(() => reverseGeocode('end', end), [end]);
+
+  // Marker labels carry the point's name once it is known
+  useEffect(() => {
+    const startName = nameOf('start', start);
+    const endName = nameOf('end', end);
+    if (startMarkerRef.current) startMarkerRef.current.setTooltipContent(startName ? `Start · ${escapeHTML(startName)}` : 'Start');
+    if (endMarkerRef.current) endMarkerRef.current.setTooltipContent(endName ? `End · ${escapeHTML(endName)}` : 'End');
+  }, [start, end, pointNames]);
+
+  // Use a search result as the start or end point
+  const selectPlace = (key, place) => {
+    const point = { ...place.point };
+    setPointNames(prev => ({ ...prev, [key]: { point, name: place.name } }));
+    (key === 'start' ? setStart : setEnd)(point);
+    mapRef.current.panTo([point.lat, point.lng]);
+    scheduleRecalc();
+  };
+
+  // Dim the drawn routes while a quiet recalculation runs
+  useEffect(() => {
+    if (mapRef.current) mapRef.current.getContainer().classList.toggle('recomputing', recomputing);
+  }, [recomputing]);
+
+  // Right-click menu actions
+  const routeFromHere = latlng => {
+    setContextMenu(null);
+    setStart(latlng);
+    scheduleRecalc();
+  };
+  const routeToHere = latlng => {
+    setContextMenu(null);
+    setEnd(latlng);
+    scheduleRecalc();
+  };
+  const addStopHere = latlng => {
+    setContextMenu(null);
+    setWaypoints(prev => [...prev, latlng]);
+    scheduleRecalc();
+  };
+
+  // Numbered markers for intermediate stops
   useEffect(() => {
     const map = mapRef.current;
     if (!map) return;
 
-    // Remove previous markers
-    if (startMarkerRef.current) {
-      map.removeLayer(startMarkerRef.current);
-      startMarkerRef.current = null;
+    waypointMarkersRef.current.forEach(marker => map.removeLayer(marker));
+    waypointMarkersRef.current = waypoints.map((point, index) => L.circleMarker([point.lat, point.lng], {
+      radius: 8,
+      color: '#007bff',
+      fillColor: '#007bff',
+      fillOpacity: 0.8,
+    }).addTo(map).bindTooltip(String(index + 1), { permanent: true, direction: 'top' }));
+  }, [waypoints]);
+
+  const algorithmLabel = name => {
+    if (name === 'via') return VIA_LABEL;
+    const algorithm = algorithms.find(a => a.name === name);
+    return algorithm ? algorithm.label : name;
+  };
+
+  // Layer group for an algorithm, registered with the layer control on first use
+  const getPathLayer = algorithm => {
+    const map = mapRef.current;
+    if (!pathLayersRef.current[algorithm] && map) {
+      const group = L.layerGroup().addTo(map);
+      pathLayersRef.current[algorithm] = group;
+      if (layerControlRef.current) layerControlRef.current.addOverlay(group, `${algorithmLabel(algorithm)} Path`);
     }
-    if (endMarkerRef.current) {
-      map.removeLayer(endMarkerRef.current);
-      endMarkerRef.current = null;
+    return pathLayersRef.current[algorithm];
+  };
+
+  // Draw an algorithm's route FeatureCollection into its layer group
+  const drawPath = (algorithm, route) => {
+    const group = route ? getPathLayer(algorithm) : pathLayersRef.current[algorithm];
+    if (!group) return;
+    group.clearLayers();
+    if (algorithm === 'ksp') alternativeLayersRef.current = {};
+    if (!route) return;
+    addRoute(group, route, PATH_STYLES[algorithm] || DEFAULT_STYLE);
+  };
+
+  // Draw every K-shortest-paths alternative in its own color and sub-layer
+  const drawAlternatives = paths => {
+    drawPath('ksp', null);
+    const parent = getPathLayer('ksp');
+    if (!parent) return;
+    // Draw the worst first so the best alternative ends up on top
+    [...paths].reverse().forEach(path => {
+      const group = L.layerGroup().addTo(parent);
+      const color = ALTERNATIVE_COLORS[(path.rank - 1) % ALTERNATIVE_COLORS.length];
+      addRoute(group, path.route, { color, weight: path.rank === 1 ? 6 : 4, opacity: 0.85 });
+      alternativeLayersRef.current[path.pathId] = group;
+    });
+  };
+
+  const toggleAlternative = pathId => {
+    const parent = pathLayersRef.current.ksp;
+    const group = alternativeLayersRef.current[pathId];
+    if (!parent || !group) return;
+    if (parent.hasLayer(group)) parent.removeLayer(group);
+    else parent.addLayer(group);
+    setAlternatives(prev => prev.map(a => a.pathId === pathId ? { ...a, visible: !a.visible } : a));
+  };
+
+  // Add a route's merged line and per-edge hover targets to a layer group
+  const addRoute = (group, route, style) => {
+    // Merged LineString carries the visible styling
+    L.geoJSON(route, {
+      filter: feature => feature.properties.role === 'route',
+      style: () => style,
+      interactive: false,
+      pane: 'routes',
+    }).addTo(group);
+    // Per-edge features sit on top as wide, transparent hover targets
+    L.geoJSON(route, {
+      filter: feature => feature.properties.role === 'edge',
+      style: () => ({ color: style.color, weight: 12, opacity: 0 }),
+      pane: 'routes',
+      onEachFeature: (feature, layer) => {
+        const p = feature.properties;
+        layer.bindTooltip(
+          `#${p.seq} · edge ${p.edgeId} · ${p.length.toFixed(2)} km<br/>cost: ${p.cost.toFixed(2)} ${costUnit}<br/>cumulative: ${p.aggCost.toFixed(2)} ${costUnit}`,
+          { sticky: true }
+        );
+        layer.on('mouseover', () => layer.setStyle({ opacity: 0.5 }));
+        layer.on('mouseout', () => layer.setStyle({ opacity: 0 }));
+      },
+    }).addTo(group);
+  };
+
+  // Show how far each clicked point was from the road it snapped onto
+  const drawSnaps = (points, snaps) => {
+    const group = snapLayerRef.current;
+    if (!group) return;
+    group.clearLayers();
+    (snaps || []).forEach((snap, index) => {
+      const point = points[index];
+      if (!point) return;
+      L.polyline([[point.lat, point.lng], [snap.point.lat, snap.point.lng]], {
+        color: '#555',
+        weight: 2,
+        dashArray: '4 4',
+        interactive: false,
+      }).addTo(group);
+    });
+    setSnapDistances((snaps || []).map(snap => snap.distance));
+  };
+
+  // Service-area bands around a clicked point via POST /isochrone
+  const runIsochrone = async point => {
+    const group = reachabilityLayerRef.current;
+    const budgets = budgetsText.split(',').map(b => Number(b.trim())).filter(b => b > 0);
+    if (!group || !budgets.length) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/isochrone`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ point, budgets, profile }),
+      });
+      const data = await res.json();
+      group.clearLayers();
+      if (!res.ok) {
+        setIsochrone(null);
+        throw apiError(data);
+      }
+
+      const colorOf = budget => BAND_COLORS[data.budgets.indexOf(budget) % BAND_COLORS.length];
+      // Largest band first so the smaller ones stay visible on top
+      [...data.bands.features].reverse().forEach(band => {
+        if (!band.geometry) return;
+        L.geoJSON(band, {
+          style: () => ({ color: colorOf(band.properties.budget), weight: 1, fillOpacity: 0.25 }),
+          interactive: false,
+        }).addTo(group);
+      });
+      L.geoJSON(data.edges, {
+        style: feature => ({ color: colorOf(feature.properties.band), weight: 2, opacity: 0.8 }),
+        onEachFeature: (feature, layer) => {
+          layer.bindTooltip(`edge ${feature.properties.edgeId} · ${feature.properties.aggCost.toFixed(2)} ${data.unit}`, { sticky: true });
+        },
+      }).addTo(group);
+      L.circleMarker([point.lat, point.lng], {
+        radius: 7,
+        color: '#333',
+        fillColor: 'white',
+        fillOpacity: 1,
+      }).addTo(group);
+
+      setIsochrone({
+        unit: data.unit,
+        bands: data.bands.features.map(band => ({
+          budget: band.properties.budget,
+          edgeCount: band.properties.edgeCount,
+          color: colorOf(band.properties.budget),
+        })),
+      });
+    } catch (err) {
+      showError('Reachability', err);
+    } finally {
+      setLoading(false);
     }
+  };
+  runIsochroneRef.current = runIsochrone;
 
-    // Add new markers as circleMarker
-    if (start) {
-      startMarkerRef.current = L.circleMarker([start.lat, start.lng], {
-        radius: 10,
-        color: 'green',
-        fillColor: 'green',
-        fillOpacity: 0.8,
-      }).addTo(map).bindTooltip('Start', { permanent: true, direction: 'top' }).openTooltip();
+  // Topology report for the whole network via GET /network/validation
+  const runValidation = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/network/validation?tolerance=${tolerance}`);
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      setValidation(data);
+    } catch (err) {
+      showError('Network validation', err);
+    } finally {
+      setLoading(false);
     }
-    if (end) {
-      endMarkerRef.current = L.circleMarker([end.lat, end.lng], {
-        radius: 10,
-        color: 'red',
-        fillColor: 'red',
-        fillOpacity: 0.8,
-      }).addTo(map).bindTooltip('End', { permanent: true, direction: 'top' }).openTooltip();
+  };
+
+  // Draw the validation issues, skipping the types toggled off in the panel
+  useEffect(() => {
+    const group = validationLayerRef.current;
+    if (!group) return;
+    group.clearLayers();
+    if (!validation) return;
+    L.geoJSON(validation.issues, {
+      filter: feature => !hiddenIssues.includes(feature.properties.issue),
+      style: feature => ({ color: ISSUE_TYPES[feature.properties.issue].color, weight: 5, opacity: 0.85 }),
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+        radius: 6,
+        color: ISSUE_TYPES[feature.properties.issue].color,
+        fillOpacity: 0.7,
+      }),
+      onEachFeature: (feature, layer) => {
+        layer.bindTooltip(ISSUE_TYPES[feature.properties.issue].describe(feature.properties), { sticky: true });
+      },
+    }).addTo(group);
+  }, [validation, hiddenIssues]);
+
+  const toggleIssue = type => {
+    setHiddenIssues(prev => prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]);
+  };
+
+  const clearReachability = () => {
+    if (reachabilityLayerRef.current) reachabilityLayerRef.current.clearLayers();
+    setIsochrone(null);
+  };
+
+  const toggleAlgorithm = name => {
+    setSelectedAlgorithms(prev => prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]);
+  };
+
+  // Draw a multi-stop route response for the given [start, ...stops, end]
+  const showViaRoute = (points, data) => {
+    Object.keys(pathLayersRef.current).forEach(algorithm => drawPath(algorithm, null));
+    setAlternatives([]);
+    drawPath('via', data.route);
+    drawSnaps(points, data.snap);
+    setRouteInfo({ via: { distance: data.totalDistance, travelTime: data.travelTime, edgeCount: data.edgeCount, avoided: data.turnRestrictions.avoided, closures: data.closures || NO_CLOSURES } });
+    setLegs(data.legs);
+    showDirections({ via: data.directions });
+  };
+
+  // Draw the /route responses of several algorithms, given as
+  // [{ algorithm, ok, data }]; algorithms still running are given as
+  // { algorithm, pending: stage }. Returns whether any of them found a route.
+  const showRouteResults = (routeStart, routeEnd, results) => {
+    const info = {};
+    const steps = {};
+    Object.keys(pathLayersRef.current).forEach(algorithm => drawPath(algorithm, null));
+    let ranked = [];
+    results.forEach(({ algorithm, ok, data, pending }) => {
+      steps[algorithm] = ok ? data.directions : null;
+      if (pending) {
+        info[algorithm] = { pending };
+        return;
+      }
+      info[algorithm] = ok
+        ? { distance: data.totalDistance, travelTime: data.travelTime, edgeCount: data.edgeCount, avoided: data.turnRestrictions.avoided, closures: data.closures || NO_CLOSURES, cached: Boolean(data.cache && data.cache.hit) }
+        : { error: { message: data.error, code: data.code } };
+      if (algorithm === 'ksp' && ok) {
+        drawAlternatives(data.paths);
+        ranked = data.paths.map(path => ({
+          pathId: path.pathId,
+          rank: path.rank,
+          distance: path.totalDistance,
+          travelTime: path.travelTime,
+          cost: path.totalCost,
+          deltaCost: path.deltaCost,
+          edgeCount: path.edgeCount,
+          sharedWithBest: path.sharedWithBest,
+          visible: true,
+        }));
+      } else {
+        drawPath(algorithm, ok ? data.route : null);
+      }
+    });
+    // A failure shared by every algorithm goes to the banner; otherwise
+    // each failed column shows its own error
+    const anyFound = results.some(r => r.ok);
+    setRouteInfo(anyFound || results.some(r => r.pending) ? info : {});
+    showDirections(steps);
+    setAlternatives(ranked);
+    const snapped = results.find(r => r.ok);
+    drawSnaps([routeStart, routeEnd], snapped ? [snapped.data.snap.start, snapped.data.snap.end] : []);
+    setLegs([]);
+    return anyFound;
+  };
+
+  // Put the ids of the shown routes in the address bar so the page can be
+  // shared; no ids clears it
+  const shareRoutes = ids => {
+    const url = new URL(window.location.href);
+    if (ids.length) url.searchParams.set('routes', ids.join(','));
+    else url.searchParams.delete('routes');
+    window.history.replaceState(null, '', url);
+  };
+
+  // Start a route request and return its sequence number. Quiet requests
+  // (automatic recalculations) show the recomputing state instead of the
+  // loading overlay.
+  const beginRequest = quiet => {
+    if (closeStreamRef.current) closeStreamRef.current();
+    setLoading(!quiet);
+    setRecomputing(Boolean(quiet));
+    setProgress(null);
+    setError(null);
+    requestSeqRef.current += 1;
+    return requestSeqRef.current;
+  };
+  const isLatest = seq => seq === requestSeqRef.current;
+  const endRequest = seq => {
+    if (!isLatest(seq)) return;
+    setLoading(false);
+    setRecomputing(false);
+    setProgress(null);
+  };
+
+  // Route through start, every stop and end via POST /route/via
+  const calculateVia = async ({ points, optimize, profile, quiet }) => {
+    const seq = beginRequest(quiet);
+    try {
+      const res = await fetch(`${API_URL}/route/via`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ points, optimize, profile }),
+      });
+      const data = await res.json();
+      if (!isLatest(seq)) return;
+      if (!res.ok) {
+        Object.keys(pathLayersRef.current).forEach(algorithm => drawPath(algorithm, null));
+        setAlternatives([]);
+        setRouteInfo({});
+        setLegs([]);
+        showDirections({});
+        drawSnaps([], []);
+        shareRoutes([]);
+        throw apiError(data);
+      }
+
+      showViaRoute(points, data);
+      shareRoutes([data.routeId]);
+      // Adopt the optimized order so the stop list matches the drawn route
+      if (data.optimized) {
+        setWaypoints(data.order.slice(1, -1).map(index => points[index]));
+      }
+    } catch (err) {
+      if (isLatest(seq)) showError('Multi-stop route', err);
+    } finally {
+      endRequest(seq);
+      refreshHistory();
     }
-  }, [start, end]);
+  };
 
-  // Manual request function
-  const sendRouteRequest = async () => {
-    if (start && end) {
-      setLoading(true);
-      try {
-        // Run both algorithms in parallel
-        const endpoints = {
-          dijkstra: 'http://localhost:3001/update-route',
-          astar: 'http://localhost:3001/astar-route',
-        };
-        const body = JSON.stringify({ start, end });
-        const [dijkstraRes, astarRes] = await Promise.all([
-          fetch(endpoints.dijkstra, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body }),
-          fetch(endpoints.astar, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body }),
-        ]);
-        const dijkstraData = await dijkstraRes.json();
-        const astarData = await astarRes.json();
-        const info = {
-          dijkstra: (dijkstraData && typeof dijkstraData.edgeCount !== 'undefined' && typeof dijkstraData.totalDistance !== 'undefined') ? {
-            distance: dijkstraData.totalDistance,
-            edgeCount: dijkstraData.edgeCount,
-          } : null,
-          astar: (astarData && typeof astarData.edgeCount !== 'undefined' && typeof astarData.totalDistance !== 'undefined') ? {
-            distance: astarData.totalDistance,
-            edgeCount: astarData.edgeCount,
-          } : null,
-        };
-        setRouteInfo(info);
-
-        // Reload both WMS layers
-        const map = mapRef.current;
-        if (map) {
-          map.eachLayer(layer => {
-            if (layer instanceof L.TileLayer.WMS && (layer.options.layers === PATH_LAYERS.dijkstra || layer.options.layers === PATH_LAYERS.astar)) {
-              layer.setParams({ _: Date.now() });
-            }
-          });
-        }
-        if (!dijkstraRes.ok || !astarRes.ok) throw new Error('Network response was not ok');
-      } catch (err) {
-        alert('Error sending route: ' + err.message);
-      } finally {
+  // Run every given algorithm through the GET /route/stream event stream.
+  // The backend pushes each algorithm's stages and its result as soon as
+  // it is ready, so the comparison panel fills in column by column; after
+  // the first result the loading overlay gives way to the progress badge.
+  const calculateRoutes = ({ start, end, algorithmNames, profile, kspK, quiet }) => new Promise(resolve => {
+    const seq = beginRequest(quiet);
+    const query = new URLSearchParams({
+      start: `${start.lat},${start.lng}`,
+      end: `${end.lat},${end.lng}`,
+      algorithms: algorithmNames.join(','),
+      profile,
+    });
+    if (algorithmNames.includes('ksp')) query.set('k', kspK);
+    const stream = new EventSource(`${API_URL}/route/stream?${query}`);
+    const results = algorithmNames.map(algorithm => ({ algorithm, pending: 'queued' }));
+
+    const finish = err => {
+      stream.close();
+      closeStreamRef.current = null;
+      if (err && isLatest(seq)) showError('Route', err);
+      endRequest(seq);
+      refreshHistory();
+      resolve();
+    };
+    closeStreamRef.current = () => {
+      stream.close();
+      closeStreamRef.current = null;
+      resolve();
+    };
+
+    const show = () => {
+      if (!isLatest(seq)) return;
+      showRouteResults(start, end, results);
+      const waiting = results.filter(r => r.pending);
+      // e.g. "Routing: Dijkstra · Snapping points: A*"
+      const stages = Object.keys(STAGE_LABELS)
+        .map(stage => [stage, waiting.filter(r => r.pending === stage)])
+        .filter(([, list]) => list.length)
+        .map(([stage, list]) => `${STAGE_LABELS[stage]}: ${list.map(r => algorithmLabel(r.algorithm)).join(', ')}`);
+      setProgress(stages.length ? stages.join(' · ') : null);
+      if (waiting.length < results.length) {
         setLoading(false);
+        setRecomputing(waiting.length > 0);
       }
+    };
+    const update = (algorithm, result) => {
+      results[algorithmNames.indexOf(algorithm)] = { algorithm, ...result };
+      show();
+    };
+    show();
+
+    stream.addEventListener('stage', e => {
+      const { algorithm, stage } = JSON.parse(e.data);
+      update(algorithm, { pending: stage });
+    });
+    stream.addEventListener('route', e => {
+      const data = JSON.parse(e.data);
+      update(data.algorithm, { ok: true, data });
+    });
+    // Without an algorithm the request itself was refused (bad point,
+    // unknown profile, ...); every column fails with that error
+    stream.addEventListener('failed', e => {
+      const data = JSON.parse(e.data);
+      if (data.algorithm) return update(data.algorithm, { ok: false, data });
+      algorithmNames.forEach((algorithm, index) => {
+        results[index] = { algorithm, ok: false, data };
+      });
+      show();
+    });
+    stream.addEventListener('done', e => {
+      const { routeIds } = JSON.parse(e.data);
+      if (isLatest(seq)) shareRoutes(routeIds);
+      finish(results.some(r => r.ok) ? null : apiError(results[0].data));
+    });
+    // The browser would reconnect and calculate again, so stop instead
+    stream.onerror = () => {
+      finish(Object.assign(new Error('The connection to the route stream was lost'), { code: 'NETWORK' }));
+    };
+  });
+
+  // Manual request function; `quiet` for automatic recalculations
+  const sendRouteRequest = async ({ quiet = false } = {}) => {
+    if (start && end && waypoints.length) {
+      return calculateVia({ points: [start, ...waypoints, end], optimize: optimizeOrder, profile, quiet });
+    }
+    if (start && end && selectedAlgorithms.length) {
+      return calculateRoutes({ start, end, algorithmNames: selectedAlgorithms, profile, kspK, quiet });
+    }
+  };
+  sendRouteRequestRef.current = sendRouteRequest;
+
+  // Restore saved routes through GET /routes/:id: markers, settings and
+  // drawn paths, as when they were calculated
+  const loadSavedRoutes = async ids => {
+    setLoading(true);
+    setError(null);
+    try {
+      const saved = await Promise.all(ids.map(async id => {
+        const res = await fetch(`${API_URL}/routes/${encodeURIComponent(id)}`);
+        const data = await res.json();
+        if (!res.ok) throw apiError(data);
+        return data;
+      }));
+      const first = saved[0];
+      setProfile(first.profile);
+      if (first.algorithm === 'dijkstraVia') {
+        const { points, optimize } = first.input;
+        setStart(points[0]);
+        setEnd(points[points.length - 1]);
+        setWaypoints(points.slice(1, -1));
+        setOptimizeOrder(optimize);
+        showViaRoute(points, first);
+      } else {
+        const { start: savedStart, end: savedEnd } = first.input;
+        setStart(savedStart);
+        setEnd(savedEnd);
+        setWaypoints([]);
+        setSelectedAlgorithms(saved.map(route => route.algorithm));
+        const ksp = saved.find(route => route.algorithm === 'ksp');
+        if (ksp) setKspK(ksp.params.k);
+        showRouteResults(savedStart, savedEnd, saved.map(data => ({ algorithm: data.algorithm, ok: true, data })));
+      }
+      shareRoutes(ids);
+    } catch (err) {
+      showError('Saved route', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Calculate a history entry again with its original points and settings
+  const rerunRoute = entry => {
+    setProfile(entry.profile);
+    if (entry.kind === 'via') {
+      const { points, optimize } = entry.input;
+      setStart(points[0]);
+      setEnd(points[points.length - 1]);
+      setWaypoints(points.slice(1, -1));
+      setOptimizeOrder(optimize);
+      return calculateVia({ points, optimize, profile: entry.profile });
+    }
+    const k = entry.params.k || kspK;
+    setStart(entry.input.start);
+    setEnd(entry.input.end);
+    setWaypoints([]);
+    setSelectedAlgorithms([entry.algorithm]);
+    if (entry.algorithm === 'ksp') setKspK(k);
+    return calculateRoutes({ ...entry.input, algorithmNames: [entry.algorithm], profile: entry.profile, kspK: k });
+  };
+
+  // Time the selected algorithms (all when none is ticked) via POST /benchmark,
+  // on the selected route or else on random node pairs. `heuristics` swaps
+  // plain A* for one run per heuristic.
+  const runBenchmark = async ({ runs, pairs, heuristics }) => {
+    let variants = selectedAlgorithms.length ? selectedAlgorithms : algorithms.map(a => a.name);
+    if (heuristics) {
+      variants = [
+        ...variants.filter(name => name !== 'astar'),
+        ...heuristics.map(heuristic => ({ algorithm: 'astar', params: { heuristic } })),
+      ];
+    }
+    const points = start && end ? { start, end } : { pairs };
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/benchmark`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...points, runs, algorithms: variants, profile }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      setBenchmark(data);
+    } catch (err) {
+      showError('Benchmark', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Recent routes for the history sidebar, via GET /routes
+  const refreshHistory = async () => {
+    if (!historyOpen) return;
+    try {
+      const res = await fetch(`${API_URL}/routes`);
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      setHistory(data.routes);
+    } catch (err) {
+      showError('Route history', err);
+    }
+  };
+
+  // Closures in force, via GET /closures; `quiet` only logs a failure
+  const loadClosures = async ({ quiet = false } = {}) => {
+    try {
+      const res = await fetch(`${API_URL}/closures`);
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      setClosures(data.closures);
+    } catch (err) {
+      if (quiet) console.error('Failed to load closures:', err);
+      else showError('Road closures', err);
     }
   };
 
+  // Routes change with the closures in force, so recalculate the shown one
+  const closuresChanged = async () => {
+    await loadClosures();
+    if (start && end) scheduleRecalc();
+  };
+
+  const clearClosureDraft = () => setClosureDraft({ edges: [], area: [] });
+
+  // Store the drawn closure via POST /closures; `hours` limits how long it lasts
+  const saveClosure = async ({ kind, factor, reason, hours }) => {
+    const { edges, area } = closureDraft;
+    const ring = area.map(p => [p.lng, p.lat]);
+    try {
+      const res = await fetch(`${API_URL}/closures`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          kind,
+          factor,
+          reason,
+          edges,
+          area: ring.length >= 3 ? { type: 'Polygon', coordinates: [[...ring, ring[0]]] } : undefined,
+          endsAt: hours ? new Date(Date.now() + hours * 3600000).toISOString() : undefined,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      clearClosureDraft();
+      setSelecting(null);
+      await closuresChanged();
+    } catch (err) {
+      showError('Save closure', err);
+    }
+  };
+
+  // End a closure now via POST /closures/:id/expire
+  const expireClosure = async id => {
+    try {
+      const res = await fetch(`${API_URL}/closures/${id}/expire`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw apiError(data);
+      await closuresChanged();
+    } catch (err) {
+      showError('End closure', err);
+    }
+  };
+
+  // Reasons of the given closure ids, for the route comparison tooltips
+  const describeClosures = ids => ids
+    .map(id => {
+      const closure = closures.find(c => c.id === id);
+      return closure && closure.reason ? `#${id} ${closure.reason}` : `#${id}`;
+    })
+    .join(', ');
+
+  // Show a failed request in the error banner; a fetch that never got an
+  // answer rejects with a TypeError
+  const showError = (context, err) => {
+    setError({ context, message: err.message, code: err.code || (err instanceof TypeError ? 'NETWORK' : undefined) });
+  };
+
+  // Replace the directions and drop the highlight of the old ones
+  const showDirections = next => {
+    setDirections(next);
+    setActiveStep(null);
+    if (stepLayerRef.current) stepLayerRef.current.clearLayers();
+  };
+
+  // Zoom the map to a directions step and highlight it
+  const zoomToStep = step => {
+    const map = mapRef.current;
+    const group = stepLayerRef.current;
+    if (!map || !group) return;
+    group.clearLayers();
+    setActiveStep(step);
+    if (step.geometry.type === 'Point') {
+      const [lng, lat] = step.geometry.coordinates;
+      L.circleMarker([lat, lng], { radius: 8, color: '#ff5722', weight: 3, fillOpacity: 0.3 }).addTo(group);
+      map.setView([lat, lng], Math.max(map.getZoom(), 17));
+      return;
+    }
+    const layer = L.geoJSON(step.geometry, {
+      style: () => ({ color: '#ff5722', weight: 8, opacity: 0.7 }),
+      interactive: false,
+    }).addTo(group);
+    map.fitBounds(layer.getBounds(), { padding: [40, 40], maxZoom: 18 });
+  };
+
   // Function to clear shortest path data
-  const clearShortestPath = async () => {
-    setRouteInfo({ dijkstra: null, astar: null });
+  const clearShortestPath = () => {
+    setError(null);
+    setRouteInfo({});
+    setAlternatives([]);
+    setLegs([]);
+    showDirections({});
+    drawSnaps([], []);
+    Object.keys(pathLayersRef.current).forEach(algorithm => drawPath(algorithm, null));
+    shareRoutes([]);
+  };
+
+  const canCalculate = Boolean(start && end && (waypoints.length || selectedAlgorithms.length));
+  // The multi-stop route, or else the first algorithm that found a route
+  const downloadKey = Object.keys(routeInfo).find(key => routeInfo[key] && !routeInfo[key].error && !routeInfo[key].pending);
+
+  // Re-request the shown route in a file format and save it
+  const downloadRoute = async format => {
+    setDownloadOpen(false);
+    if (!downloadKey) return;
+    setError(null);
+    const [url, body] = downloadKey === 'via'
+      ? [`${API_URL}/route/via`, { points: [start, ...waypoints, end], optimize: optimizeOrder, profile }]
+      : [`${API_URL}/route`, { start, end, algorithm: downloadKey, profile, params: downloadKey === 'ksp' ? { k: kspK } : undefined }];
     try {
-      // Clear both algorithms' data
-      await Promise.all([
-        fetch('http://localhost:3001/clear-shortest-path', { method: 'POST', headers: { 'Content-Type': 'application/json' } }),
-        fetch('http://localhost:3001/clear-astar-path', { method: 'POST', headers: { 'Content-Type': 'application/json' } }),
-      ]);
-      // Optionally force WMS layer reload
-      const map = mapRef.current;
-      if (map) {
-        map.eachLayer(layer => {
-          if (layer instanceof L.TileLayer.WMS && (layer.options.layers === PATH_LAYERS.dijkstra || layer.options.layers === PATH_LAYERS.astar)) {
-            layer.setParams({ _: Date.now() });
-          }
-        });
+      const res = await fetch(`${url}?format=${format}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) {
+        throw apiError(await res.json());
       }
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = `route-${downloadKey}.${format}`;
+      link.click();
+      URL.revokeObjectURL(link.href);
     } catch (err) {
-      alert('Error clearing shortest path: ' + err.message);
+      showError('Download', err);
     }
   };
 
@@ -261,18 +1203,36 @@ function FrontendMap() {
           {selecting === 'end' ? 'Selecting End' : 'Select End'}
         </button>
         <button
-          onClick={sendRouteRequest}
-          disabled={!(start && end)}
+          onClick={() => setSelecting('waypoint')}
+          disabled={selecting === 'waypoint'}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: selecting === 'waypoint' ? '#007bff' : '#f1f3f4',
+            color: selecting === 'waypoint' ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            boxShadow: selecting === 'waypoint' ? '0 2px 8px rgba(0,123,255,0.12)' : 'none',
+            cursor: selecting === 'waypoint' ? 'not-allowed' : 'pointer',
+            transition: 'background 0.2s',
+          }}
+        >
+          {selecting === 'waypoint' ? 'Adding Stop' : '➕ Add Stop'}
+        </button>
+        <button
+          onClick={() => sendRouteRequest()}
+          disabled={!canCalculate}
           style={{
             padding: '6px 15px',
             borderRadius: '6px',
             border: 'none',
-            background: !(start && end) ? '#b0c4de' : '#007bff',
+            background: !canCalculate ? '#b0c4de' : '#007bff',
             color: 'white',
             fontWeight: 600,
             fontSize: '0.95em',
-            boxShadow: !(start && end) ? 'none' : '0 2px 8px rgba(0,123,255,0.12)',
-            cursor: !(start && end) ? 'not-allowed' : 'pointer',
+            boxShadow: !canCalculate ? 'none' : '0 2px 8px rgba(0,123,255,0.12)',
+            cursor: !canCalculate ? 'not-allowed' : 'pointer',
             transition: 'background 0.2s',
           }}
         >
@@ -295,9 +1255,221 @@ function FrontendMap() {
         >
           🧹 Clear
         </button>
-        <span style={{ marginLeft: '20px', fontSize: '0.95em', color: '#555', fontWeight: 500 }}>
-          {start && `Start: ${start.lat.toFixed(5)}, ${start.lng.toFixed(5)}`}
-          {end && ` | End: ${end.lat.toFixed(5)}, ${end.lng.toFixed(5)}`}
+        <div style={{ position: 'relative' }}>
+          <button
+            onClick={() => setDownloadOpen(!downloadOpen)}
+            disabled={!downloadKey}
+            style={{
+              padding: '6px 13px',
+              borderRadius: '6px',
+              border: 'none',
+              background: !downloadKey ? '#e0e0e0' : '#f1f3f4',
+              color: !downloadKey ? '#999' : '#333',
+              fontWeight: 500,
+              fontSize: '0.95em',
+              cursor: !downloadKey ? 'not-allowed' : 'pointer',
+              transition: 'background 0.2s',
+            }}
+            title={downloadKey ? `Download the ${algorithmLabel(downloadKey)} route` : 'Calculate a route first'}
+          >
+            ⬇️ Download ▾
+          </button>
+          {downloadOpen && downloadKey && (
+            <div style={{
+              position: 'absolute',
+              top: '100%',
+              left: 0,
+              marginTop: '4px',
+              background: 'white',
+              border: '1px solid #e0e0e0',
+              borderRadius: '8px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.12)',
+              zIndex: 1200,
+              minWidth: '170px',
+              overflow: 'hidden',
+            }}>
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button
+                  key={format}
+                  onClick={() => downloadRoute(format)}
+                  style={{
+                    display: 'block',
+                    width: '100%',
+                    padding: '7px 12px',
+                    border: 'none',
+                    background: 'white',
+                    textAlign: 'left',
+                    fontSize: '0.9em',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <button
+          onClick={() => {
+            if (selecting === 'reachability') {
+              setSelecting(null);
+              clearReachability();
+            } else {
+              setSelecting('reachability');
+            }
+          }}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: selecting === 'reachability' ? '#6f42c1' : '#f1f3f4',
+            color: selecting === 'reachability' ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            boxShadow: selecting === 'reachability' ? '0 2px 8px rgba(111,66,193,0.12)' : 'none',
+            cursor: 'pointer',
+            transition: 'background 0.2s',
+          }}
+          title="Click the map to see what is reachable within each budget"
+        >
+          🕒 {selecting === 'reachability' ? 'Exit Reachability' : 'Reachability'}
+        </button>
+        <button
+          onClick={runValidation}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: validation ? '#6c757d' : '#f1f3f4',
+            color: validation ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            cursor: 'pointer',
+            transition: 'background 0.2s',
+          }}
+          title="Check the network for gaps, dead ends and duplicate edges"
+        >
+          🩺 Validate Network
+        </button>
+        <button
+          onClick={() => {
+            setHistoryOpen(!historyOpen);
+            setClosuresOpen(false);
+          }}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: historyOpen ? '#6c757d' : '#f1f3f4',
+            color: historyOpen ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            cursor: 'pointer',
+            transition: 'background 0.2s',
+          }}
+          title="List past routes to show or calculate again"
+        >
+          🕘 History
+        </button>
+        <button
+          onClick={() => {
+            setClosuresOpen(!closuresOpen);
+            setHistoryOpen(false);
+          }}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: closuresOpen ? '#6c757d' : '#f1f3f4',
+            color: closuresOpen ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            cursor: 'pointer',
+            transition: 'background 0.2s',
+          }}
+          title="Close or slow roads for routing, e.g. for roadworks"
+        >
+          🚧 Closures
+        </button>
+        <button
+          onClick={() => setBenchmarkOpen(!benchmarkOpen)}
+          style={{
+            padding: '6px 13px',
+            borderRadius: '6px',
+            border: 'none',
+            background: benchmarkOpen ? '#6c757d' : '#f1f3f4',
+            color: benchmarkOpen ? 'white' : '#333',
+            fontWeight: 500,
+            fontSize: '0.95em',
+            cursor: 'pointer',
+            transition: 'background 0.2s',
+          }}
+          title="Compare the execution time of the routing algorithms"
+        >
+          ⏱ Benchmark
+        </button>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.9em', color: '#555' }}>
+          Budgets ({costUnit})
+          <input
+            type="text"
+            value={budgetsText}
+            onChange={e => setBudgetsText(e.target.value)}
+            style={{ width: '80px', padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' }}
+          />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.9em', color: '#555' }}>
+          Cost
+          <select
+            value={profile}
+            onChange={e => setProfile(e.target.value)}
+            style={{ padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' }}
+          >
+            {profiles.map(p => (
+              <option key={p.name} value={p.name} title={p.description}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.9em', color: '#555' }}>
+          Compare:
+          {algorithms.map(algorithm => (
+            <label key={algorithm.name} title={algorithm.description} style={{ display: 'flex', alignItems: 'center', gap: '3px', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={selectedAlgorithms.includes(algorithm.name)}
+                onChange={() => toggleAlgorithm(algorithm.name)}
+              />
+              {algorithm.label}
+            </label>
+          ))}
+          {selectedAlgorithms.includes('ksp') && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+              K
+              <input
+                type="number"
+                min={1}
+                max={10}
+                value={kspK}
+                onChange={e => setKspK(Math.min(10, Math.max(1, Number(e.target.value) || 1)))}
+                style={{ width: '42px', padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' }}
+              />
+            </label>
+          )}
+        </span>
+        <span style={{ marginLeft: '20px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <SearchBox
+            apiUrl={API_URL}
+            label="Start"
+            color="green"
+            value={describePoint('start', start)}
+            onSelect={place => selectPlace('start', place)}
+          />
+          <SearchBox
+            apiUrl={API_URL}
+            label="End"
+            color="red"
+            value={describePoint('end', end)}
+            onSelect={place => selectPlace('end', place)}
+          />
         </span>
       </div>
       <div style={{ position: 'relative', width: '100%', minHeight: '580px', marginTop: '10px', overflow: 'hidden' }}>
@@ -321,17 +1493,168 @@ function FrontendMap() {
                 <div className="spinner" style={{
                   width: '48px', height: '48px', border: '6px solid #007bff', borderTop: '6px solid #e0e0e0', borderRadius: '50%', animation: 'spin 1s linear infinite', margin: '0 auto', marginBottom: '10px'
                 }}></div>
-                <div style={{ color: '#007bff', fontWeight: 500, fontSize: '1.1em' }}>Calculating route...</div>
+                <div style={{ color: '#007bff', fontWeight: 500, fontSize: '1.1em' }}>{progress || 'Calculating route...'}</div>
               </div>
             </div>
           )}
+          {recomputing && (
+            <div style={{
+              position: 'absolute',
+              top: '12px',
+              left: '50%',
+              transform: 'translateX(-50%)',
+              background: 'white',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+              borderRadius: '12px',
+              border: '1px solid #e0e0e0',
+              padding: '4px 12px',
+              zIndex: 1100,
+              fontSize: '0.9em',
+              color: '#007bff',
+              pointerEvents: 'none',
+            }}>
+              ⟳ {progress || 'Recomputing route...'}
+            </div>
+          )}
+          {contextMenu && (
+            <div
+              // Keep menu clicks from reaching the map's own click handler
+              ref={element => element && L.DomEvent.disableClickPropagation(element)}
+              onContextMenu={e => e.preventDefault()}
+              style={{
+                position: 'absolute',
+                top: `${contextMenu.y}px`,
+                left: `${contextMenu.x}px`,
+                background: 'white',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+                borderRadius: '8px',
+                border: '1px solid #e0e0e0',
+                padding: '4px 0',
+                zIndex: 1200,
+                fontSize: '0.9em',
+                minWidth: '150px',
+              }}
+            >
+              {[
+                ['🟢 Route from here', routeFromHere],
+                ['🔴 Route to here', routeToHere],
+                ['➕ Add stop here', addStopHere],
+              ].map(([label, action]) => (
+                <div
+                  key={label}
+                  onClick={() => action({ lat: contextMenu.latlng.lat, lng: contextMenu.latlng.lng })}
+                  className="context-menu-item"
+                  style={{ padding: '5px 12px', cursor: 'pointer' }}
+                >
+                  {label}
+                </div>
+              ))}
+            </div>
+          )}
           <style>{`
             @keyframes spin {
               0% { transform: rotate(0deg); }
               100% { transform: rotate(360deg); }
             }
+            @keyframes pulse {
+              0%, 100% { opacity: 1; }
+              50% { opacity: 0.35; }
+            }
+            .recomputing .leaflet-routes-pane {
+              animation: pulse 1s ease-in-out infinite;
+            }
+            .context-menu-item:hover {
+              background: #f1f3f4;
+            }
           `}</style>
-          {(routeInfo.dijkstra || routeInfo.astar) && (
+          {isochrone && (
+            <div style={{
+              position: 'absolute',
+              bottom: '24px',
+              left: '12px',
+              background: 'white',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+              borderRadius: '12px',
+              border: '1px solid #e0e0e0',
+              padding: '12px 16px',
+              zIndex: 1100,
+              fontSize: '0.9em',
+            }}>
+              <div style={{ fontWeight: 500, marginBottom: '6px' }}>🕒 Reachability</div>
+              {isochrone.bands.map(band => (
+                <div key={band.budget} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '3px' }}>
+                  <span style={{ display: 'inline-block', width: '14px', height: '14px', borderRadius: '3px', background: band.color, opacity: 0.6 }}></span>
+                  <span>≤ {band.budget} {isochrone.unit}</span>
+                  <span style={{ color: '#888', marginLeft: 'auto' }}>{band.edgeCount} edges</span>
+                </div>
+              ))}
+            </div>
+          )}
+          {error && <ErrorBanner error={error} onClose={() => setError(null)} />}
+          {historyOpen && (
+            <HistoryPanel
+              entries={history}
+              labelOf={algorithmLabel}
+              onOpen={entry => loadSavedRoutes([entry.id])}
+              onRerun={rerunRoute}
+              onClose={() => setHistoryOpen(false)}
+            />
+          )}
+          {closuresOpen && (
+            <ClosuresPanel
+              closures={closures}
+              draft={closureDraft}
+              mode={selecting === 'closureEdges' || selecting === 'closureArea' ? selecting : null}
+              onModeChange={setSelecting}
+              onClearDraft={clearClosureDraft}
+              onSave={saveClosure}
+              onExpire={expireClosure}
+              onClose={() => {
+                setClosuresOpen(false);
+                clearClosureDraft();
+                if (selecting === 'closureEdges' || selecting === 'closureArea') setSelecting(null);
+              }}
+            />
+          )}
+          {benchmarkOpen && (
+            <BenchmarkPanel
+              result={benchmark}
+              onRun={runBenchmark}
+              onClose={() => setBenchmarkOpen(false)}
+              colorOf={name => (PATH_STYLES[name] || DEFAULT_STYLE).color}
+              usesRoute={Boolean(start && end)}
+            />
+          )}
+          {validation && (
+            <ValidationPanel
+              report={validation}
+              hidden={hiddenIssues}
+              onToggle={toggleIssue}
+              tolerance={tolerance}
+              onToleranceChange={setTolerance}
+              onRerun={runValidation}
+              onClose={() => setValidation(null)}
+            />
+          )}
+          {waypoints.length > 0 && (
+            <StopsPanel
+              start={start}
+              end={end}
+              startName={nameOf('start', start)}
+              endName={nameOf('end', end)}
+              waypoints={waypoints}
+              onChange={setWaypoints}
+              optimize={optimizeOrder}
+              onOptimizeChange={setOptimizeOrder}
+            />
+          )}
+          <DirectionsPanel
+            directions={directions}
+            labelOf={algorithmLabel}
+            onStepClick={zoomToStep}
+            activeStep={activeStep}
+          />
+          {Object.keys(routeInfo).length > 0 && (
             <div style={{
               position: 'absolute',
               bottom: '64px',
@@ -349,22 +1672,88 @@ function FrontendMap() {
                 <span style={{ fontSize: '1.3em', fontWeight: 600, color: '#007bff', marginRight: '8px' }}>🛣️</span>
                 <span style={{ fontSize: '1.1em', fontWeight: 500 }}>Route Comparison</span>
               </div>
-              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
-                <div style={{ flex: 1, textAlign: 'center' }}>
-                  <div style={{ fontWeight: 600, color: '#555', marginBottom: '4px' }}>Dijkstra</div>
-                  <div style={{ fontSize: '1.1em', marginBottom: '2px' }}>
-                    <span style={{ color: '#8f8100ff', fontWeight: 600 }}>🟡</span> {routeInfo.dijkstra ? routeInfo.dijkstra.distance.toFixed(2) : '-'} km
+              {snapDistances.length > 0 && (
+                <div style={{ fontSize: '0.85em', color: '#888', marginBottom: '8px' }}>
+                  Snapped to road: {snapDistances.map(d => `${Math.round(d)} m`).join(' · ')}
+                </div>
+              )}
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px', flexWrap: 'wrap' }}>
+                {Object.entries(routeInfo).map(([algorithm, info], index) => (
+                  <div key={algorithm} style={{ flex: 1, minWidth: '90px', textAlign: 'center', borderLeft: index > 0 ? '1px solid #eee' : 'none' }}>
+                    <div style={{ fontWeight: 600, color: '#555', marginBottom: '4px' }}>{algorithmLabel(algorithm)}</div>
+                    {info && info.pending ? (
+                      <div style={{ fontSize: '0.85em', color: '#007bff' }}>⏳ {STAGE_LABELS[info.pending]}...</div>
+                    ) : info && info.error ? (
+                      <div style={{ fontSize: '0.85em', color: '#dc3545' }} title={info.error.message}>
+                        ⚠️ {(ERROR_HINTS[info.error.code] || { title: 'Failed' }).title}
+                      </div>
+                    ) : (
+                      <>
+                        <div style={{ fontSize: '1.1em', marginBottom: '2px' }}>
+                          <span style={{
+                            display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%',
+                            background: (PATH_STYLES[algorithm] || DEFAULT_STYLE).color,
+                          }}></span> {info ? info.distance.toFixed(2) : '-'} km
+                        </div>
+                        <div style={{ fontSize: '0.95em', color: '#555', marginBottom: '2px' }}>{info ? formatDuration(info.travelTime) : '-'}</div>
+                        <div style={{ fontSize: '0.95em', color: '#888' }}>Edge: <b>{info ? info.edgeCount : '-'}</b></div>
+                        {info && info.cached && (
+                          <div style={{ fontSize: '0.85em', color: '#28a745', marginTop: '2px' }} title="Served from the route cache">⚡ Cached</div>
+                        )}
+                        {info && info.avoided.length > 0 && (
+                          <div style={{ fontSize: '0.85em', color: '#dc3545', marginTop: '2px' }} title={`Restriction ids: ${info.avoided.join(', ')}`}>
+                            ⛔ Rerouted around {info.avoided.length} turn restriction{info.avoided.length > 1 ? 's' : ''}
+                          </div>
+                        )}
+                        {info && info.closures.avoided.length > 0 && (
+                          <div style={{ fontSize: '0.85em', color: '#dc3545', marginTop: '2px' }} title={`Closures: ${describeClosures(info.closures.avoided)}`}>
+                            🚧 Avoided {info.closures.avoided.length} closure{info.closures.avoided.length > 1 ? 's' : ''}
+                          </div>
+                        )}
+                        {info && info.closures.penalised.length > 0 && (
+                          <div style={{ fontSize: '0.85em', color: '#fd7e14', marginTop: '2px' }} title={`Closures: ${describeClosures(info.closures.penalised)}`}>
+                            🐢 Through {info.closures.penalised.length} slowed section{info.closures.penalised.length > 1 ? 's' : ''}
+                          </div>
+                        )}
+                      </>
+                    )}
                   </div>
-                  <div style={{ fontSize: '0.95em', color: '#888' }}>Edge: <b>{routeInfo.dijkstra ? routeInfo.dijkstra.edgeCount : '-'}</b></div>
+                ))}
+              </div>
+              {legs.length > 0 && (
+                <div style={{ marginTop: '12px', borderTop: '1px solid #eee', paddingTop: '10px' }}>
+                  <div style={{ fontWeight: 600, color: '#555', marginBottom: '6px' }}>Legs ({legs.length})</div>
+                  {legs.map(leg => (
+                    <div key={leg.leg} style={{ display: 'flex', gap: '8px', fontSize: '0.92em', marginBottom: '3px' }}>
+                      <b>Leg {leg.leg}</b>
+                      <span>{leg.distance.toFixed(2)} km · {formatDuration(leg.travelTime)}</span>
+                      <span style={{ color: '#888', marginLeft: 'auto' }}>{leg.edgeCount} edges</span>
+                    </div>
+                  ))}
                 </div>
-                <div style={{ flex: 1, textAlign: 'center', borderLeft: '1px solid #eee' }}>
-                  <div style={{ fontWeight: 600, color: '#555', marginBottom: '4px' }}>A*</div>
-                  <div style={{ fontSize: '1.1em', marginBottom: '2px' }}>
-                    <span style={{ color: '#dc3545', fontWeight: 600 }}>🔴</span> {routeInfo.astar ? routeInfo.astar.distance.toFixed(2) : '-'} km
+              )}
+              {alternatives.length > 0 && (
+                <div style={{ marginTop: '12px', borderTop: '1px solid #eee', paddingTop: '10px' }}>
+                  <div style={{ fontWeight: 600, color: '#555', marginBottom: '6px' }}>
+                    Alternatives ({alternatives.length})
                   </div>
-                  <div style={{ fontSize: '0.95em', color: '#888' }}>Edge: <b>{routeInfo.astar ? routeInfo.astar.edgeCount : '-'}</b></div>
+                  {alternatives.map(alt => (
+                    <label key={alt.pathId} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '0.92em', marginBottom: '4px', cursor: 'pointer' }}>
+                      <input type="checkbox" checked={alt.visible} onChange={() => toggleAlternative(alt.pathId)} />
+                      <span style={{
+                        display: 'inline-block', width: '18px', height: '4px', borderRadius: '2px',
+                        background: ALTERNATIVE_COLORS[(alt.rank - 1) % ALTERNATIVE_COLORS.length],
+                      }}></span>
+                      <b>#{alt.rank}</b>
+                      <span>{alt.distance.toFixed(2)} km · {formatDuration(alt.travelTime)}</span>
+                      {alt.rank > 1 && <span style={{ color: '#dc3545' }}>+{alt.deltaCost.toFixed(2)} {costUnit}</span>}
+                      <span style={{ color: '#888', marginLeft: 'auto' }}>
+                        {alt.edgeCount} edges · {Math.round(alt.sharedWithBest * 100)}% shared
+                      </span>
+                    </label>
+                  ))}
                 </div>
-              </div>
+              )}
             </div>
           )}
         </div>
@@ -0,0 +1,68 @@
+import React from 'react';
+
+// Recent routes from GET /routes. Clicking an entry shows it again as it
+// was calculated; the ↻ button calculates it anew on the current graph.
+function HistoryPanel({ entries, labelOf, onOpen, onRerun, onClose }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '12px',
+      left: '56px',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      width: '280px',
+      padding: '12px 14px',
+      zIndex: 1100,
+      fontSize: '0.9em',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontWeight: 500 }}>🕘 Route History</span>
+        <button
+          onClick={onClose}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+          title="Hide history"
+        >
+          ✕
+        </button>
+      </div>
+      {!entries.length && <div style={{ color: '#888' }}>No routes calculated yet.</div>}
+      <div style={{ maxHeight: '360px', overflowY: 'auto' }}>
+        {entries.map(entry => (
+          <div
+            key={entry.id}
+            onClick={() => onOpen(entry)}
+            style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '5px 6px', borderRadius: '6px', cursor: 'pointer' }}
+            title="Show this route"
+          >
+            <div style={{ flex: 1 }}>
+              <div>
+                <b>{labelOf(entry.kind === 'via' ? 'via' : entry.algorithm)}</b>
+                <span style={{ color: '#888' }}> · {entry.profile}</span>
+              </div>
+              <div style={{ color: '#555' }}>
+                {entry.totalDistance.toFixed(2)} km · {Math.round(entry.travelTime)} min · {entry.edgeCount} edges
+              </div>
+              <div style={{ color: '#888', fontSize: '0.9em' }}>
+                {new Date(entry.createdAt).toLocaleString()} · {Math.round(entry.durationMs)} ms
+              </div>
+            </div>
+            <button
+              onClick={e => {
+                e.stopPropagation();
+                onRerun(entry);
+              }}
+              style={{ padding: '3px 8px', borderRadius: '6px', border: 'none', background: '#f1f3f4', cursor: 'pointer' }}
+              title="Calculate this route again"
+            >
+              ↻
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
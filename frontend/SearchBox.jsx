@@ -0,0 +1,108 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Wait after the last keystroke before searching
+const SEARCH_DELAY_MS = 250;
+
+// Place search for the start or end point. Typing searches GET /geocode
+// and lists matching places and streets; picking one calls onSelect with
+// it. `value` is the text shown for the current point (its street name or
+// coordinates) and replaces the typed text whenever the point changes.
+function SearchBox({ apiUrl, label, color, value, onSelect }) {
+  const [text, setText] = useState(value);
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const timerRef = useRef(null);
+  // Only the newest search may fill the list
+  const queryRef = useRef('');
+
+  useEffect(() => {
+    setText(value);
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const search = query => {
+    setText(query);
+    queryRef.current = query;
+    clearTimeout(timerRef.current);
+    if (!query.trim()) {
+      setResults([]);
+      return;
+    }
+    timerRef.current = setTimeout(async () => {
+      try {
+        const res = await fetch(`${apiUrl}/geocode?q=${encodeURIComponent(query)}`);
+        const data = await res.json();
+        if (queryRef.current !== query) return;
+        setResults(res.ok ? data.results : []);
+        setOpen(true);
+      } catch (err) {
+        setResults([]);
+      }
+    }, SEARCH_DELAY_MS);
+  };
+
+  const choose = result => {
+    setOpen(false);
+    setResults([]);
+    setText(result.name);
+    onSelect(result);
+  };
+
+  return (
+    <span style={{ position: 'relative', display: 'inline-flex', alignItems: 'center', gap: '5px' }}>
+      <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: color }}></span>
+      <input
+        type="search"
+        value={text}
+        placeholder={`Search ${label.toLowerCase()}...`}
+        onChange={e => search(e.target.value)}
+        onFocus={e => {
+          e.target.select();
+          if (results.length) setOpen(true);
+        }}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={e => {
+          if (e.key === 'Enter' && results.length) choose(results[0]);
+          if (e.key === 'Escape') setOpen(false);
+        }}
+        title={label}
+        style={{ width: '190px', padding: '4px 8px', borderRadius: '6px', border: '1px solid #ccc', fontSize: '0.9em' }}
+      />
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          left: '15px',
+          marginTop: '4px',
+          width: '280px',
+          maxHeight: '260px',
+          overflowY: 'auto',
+          background: 'white',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.15)',
+          borderRadius: '8px',
+          border: '1px solid #e0e0e0',
+          zIndex: 2000,
+          fontSize: '0.9em',
+        }}>
+          {!results.length && <div style={{ padding: '6px 10px', color: '#888' }}>No places found.</div>}
+          {results.map((result, index) => (
+            <div
+              key={index}
+              onMouseDown={() => choose(result)}
+              className="context-menu-item"
+              style={{ padding: '5px 10px', cursor: 'pointer' }}
+            >
+              <div>{result.name}</div>
+              <div style={{ color: '#888', fontSize: '0.9em' }}>
+                {result.kind}{result.address ? ` · ${result.address}` : ''}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </span>
+  );
+}
+
+export default SearchBox;
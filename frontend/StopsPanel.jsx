@@ -0,0 +1,97 @@
+import React, { useRef } from 'react';
+
+// Ordered list of start, intermediate stops and end. Stops can be
+// reordered by dragging and removed individually.
+function StopsPanel({ start, end, startName, endName, waypoints, onChange, optimize, onOptimizeChange }) {
+  const dragIndexRef = useRef(null);
+
+  const format = point => point ? `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}` : '—';
+
+  const handleDrop = index => {
+    const from = dragIndexRef.current;
+    dragIndexRef.current = null;
+    if (from === null || from === index) return;
+    const next = [...waypoints];
+    const [moved] = next.splice(from, 1);
+    next.splice(index, 0, moved);
+    onChange(next);
+  };
+
+  const removeStop = index => {
+    onChange(waypoints.filter((_, i) => i !== index));
+  };
+
+  const rowStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '4px 6px',
+    borderRadius: '6px',
+    fontSize: '0.9em',
+  };
+  const badgeStyle = color => ({
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '20px',
+    height: '20px',
+    borderRadius: '50%',
+    background: color,
+    color: 'white',
+    fontSize: '0.8em',
+    fontWeight: 600,
+    flexShrink: 0,
+  });
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '12px',
+      left: '60px',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      width: '260px',
+      padding: '12px 14px',
+      zIndex: 1100,
+    }}>
+      <div style={{ fontWeight: 500, marginBottom: '8px' }}>📍 Stops</div>
+      <div style={rowStyle}>
+        <span style={badgeStyle('green')}>S</span>
+        <span title={format(start)}>{startName || format(start)}</span>
+      </div>
+      {waypoints.map((point, index) => (
+        <div
+          key={`${point.lat},${point.lng},${index}`}
+          draggable
+          onDragStart={() => { dragIndexRef.current = index; }}
+          onDragOver={e => e.preventDefault()}
+          onDrop={() => handleDrop(index)}
+          style={{ ...rowStyle, background: '#f8f9fa', cursor: 'grab', marginTop: '2px' }}
+          title="Drag to reorder"
+        >
+          <span style={badgeStyle('#007bff')}>{index + 1}</span>
+          <span style={{ flex: 1 }}>{format(point)}</span>
+          <button
+            onClick={() => removeStop(index)}
+            style={{ border: 'none', background: 'none', color: '#dc3545', cursor: 'pointer', fontSize: '1em' }}
+            title="Remove stop"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={{ ...rowStyle, marginTop: '2px' }}>
+        <span style={badgeStyle('red')}>E</span>
+        <span title={format(end)}>{endName || format(end)}</span>
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '0.9em', color: '#555', cursor: 'pointer' }}>
+        <input type="checkbox" checked={optimize} onChange={e => onOptimizeChange(e.target.checked)} />
+        Optimize stop order
+      </label>
+    </div>
+  );
+}
+
+export default StopsPanel;
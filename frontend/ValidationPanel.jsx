@@ -0,0 +1,108 @@
+import React from 'react';
+
+// Issue types reported by GET /network/validation, with their map color,
+// summary count key and tooltip text
+export const ISSUE_TYPES = {
+  component: {
+    label: 'Disconnected components',
+    color: '#6f42c1',
+    summaryKey: 'disconnectedComponents',
+    describe: p => `Component ${p.component}: ${p.nodeCount} nodes, ${p.edgeCount} edges cut off from the main network`,
+  },
+  deadEnd: {
+    label: 'Dead ends',
+    color: '#fd7e14',
+    summaryKey: 'deadEnds',
+    describe: p => `Dead end at node ${p.nodeId}`,
+  },
+  nearMiss: {
+    label: 'Near-miss nodes',
+    color: '#dc3545',
+    summaryKey: 'nearMisses',
+    describe: p => `Nodes ${p.nodeIds.join(' & ')} are ${p.distance.toFixed(2)} m apart but not connected`,
+  },
+  zeroLength: {
+    label: 'Zero-length edges',
+    color: '#e83e8c',
+    summaryKey: 'zeroLengthEdges',
+    describe: p => `Edge ${p.edgeId} (${p.source} → ${p.target}) has no length`,
+  },
+  duplicate: {
+    label: 'Duplicate edges',
+    color: '#17a2b8',
+    summaryKey: 'duplicateEdges',
+    describe: p => `Edges ${p.edgeIds.join(', ')} all join nodes ${p.nodeIds.join(' & ')}`,
+  },
+};
+
+// Counts per issue type with a toggle for each map layer, and the
+// near-miss tolerance used for the next run
+function ValidationPanel({ report, hidden, onToggle, tolerance, onToleranceChange, onRerun, onClose }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '24px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      background: 'white',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      borderRadius: '12px',
+      border: '1px solid #e0e0e0',
+      padding: '12px 16px',
+      zIndex: 1100,
+      fontSize: '0.9em',
+      minWidth: '260px',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontWeight: 500 }}>🩺 Network Validation</span>
+        <button
+          onClick={onClose}
+          style={{ marginLeft: 'auto', border: 'none', background: 'none', cursor: 'pointer', color: '#888' }}
+          title="Hide validation issues"
+        >
+          ✕
+        </button>
+      </div>
+      <div style={{ color: '#888', marginBottom: '6px' }}>
+        {report.summary.components} connected component{report.summary.components === 1 ? '' : 's'}
+      </div>
+      {Object.entries(ISSUE_TYPES).map(([type, info]) => {
+        const count = report.summary[info.summaryKey];
+        return (
+          <label key={type} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '3px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={!hidden.includes(type)} onChange={() => onToggle(type)} disabled={!count} />
+            <span style={{ display: 'inline-block', width: '14px', height: '14px', borderRadius: '3px', background: info.color, opacity: 0.8 }}></span>
+            <span>{info.label}</span>
+            <b style={{ marginLeft: 'auto', color: count ? '#dc3545' : '#28a745' }}>{count}</b>
+          </label>
+        );
+      })}
+      {Object.values(ISSUE_TYPES).some(info => report.summary[info.summaryKey] > report.limitPerCheck) && (
+        <div style={{ color: '#888', fontSize: '0.9em', marginTop: '4px' }}>
+          Only the first {report.limitPerCheck} issues of each kind are drawn.
+        </div>
+      )}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', color: '#555' }}>
+        Near-miss tolerance
+        <input
+          type="number"
+          min={0.1}
+          max={50}
+          step={0.5}
+          value={tolerance}
+          onChange={e => onToleranceChange(Number(e.target.value))}
+          style={{ width: '56px', padding: '2px 4px', borderRadius: '4px', border: '1px solid #ccc' }}
+        />
+        m
+        <button
+          onClick={onRerun}
+          style={{ marginLeft: 'auto', padding: '3px 10px', borderRadius: '6px', border: 'none', background: '#f1f3f4', cursor: 'pointer' }}
+        >
+          Re-run
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ValidationPanel;
@@ -1,6 +1,19 @@
+const fs = require('fs');
 const path = require('path');
+const webpack = require('webpack');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 
+// Build-time settings from frontend/.env (or the file named by ENV_FILE);
+// variables set in the environment win, e.g.
+// API_URL=https://api.staging.example.org npm run build
+const envFile = process.env.ENV_FILE || path.join(__dirname, '.env');
+if (fs.existsSync(envFile)) {
+  process.loadEnvFile(envFile);
+}
+const settings = {
+  API_URL: process.env.API_URL || 'http://localhost:3001',
+};
+
 module.exports = {
   entry: './index.js',
   output: {
@@ -33,6 +46,10 @@ module.exports = {
     new HtmlWebpackPlugin({
       template: 'index.html',
     }),
+    // Replaces process.env.API_URL in the code
+    new webpack.DefinePlugin(Object.fromEntries(
+      Object.entries(settings).map(([name, value]) => [`process.env.${name}`, JSON.stringify(value)])
+    )),
   ],
   devServer: {
     static: './dist',